@@ -0,0 +1,377 @@
+/**
+ * Pipeline média persistant : download → [extract] → transcribe → link → torah → sync
+ * Chaque étape est un job de job_queue.js (reprise après crash, retries, dead-letter)
+ * Notes vocales, vidéos (piste audio) et documents (texte des PDF) suivent le même chemin.
+ * Images : ocr → (réponse d'un répondant) link → torah → sync
+ * L'étape link rattache aussi la réponse au fil de la question liée (threads.js)
+ * Audios importés (exports WhatsApp) : import_transcribe → [link → torah] → sync, en tâche de fond
+ */
+
+require('dotenv').config();
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const DB = require('./db');
+const queue = require('./job_queue');
+const { resolveStt, transcribeAudio, modelLabel } = require('./transcription');
+const { enhancedMatchAnswerToQuestion } = require('./enhanced_matcher');
+const { processEntry } = require('./torah_transcription');
+const firebaseSync = require('./firebase_sync');
+const { getActiveTransport, saveRecordedMedia } = require('./wa_transport');
+const { getGroup } = require('./groups');
+const { responderName } = require('./responders');
+const { isPdf, extractPdfText, extractAudioTrack, audioTrackPath } = require('./media_extract');
+const { recognize, isMeaningful } = require('./ocr');
+const { assignThread } = require('./threads');
+
+const MEDIA_DIR = path.join(__dirname, 'media');
+// Transcriptions d'imports simultanées (un emplacement du worker reste réservé au live)
+const IMPORT_TRANSCRIBE_CONCURRENCY = parseInt(process.env.IMPORT_TRANSCRIBE_CONCURRENCY, 10) || 2;
+if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR);
+
+// Connexion partagée par les étapes du worker (ouverte une fois, pas à chaque job)
+let db = null;
+
+function getDb() {
+    if (!db) db = new Database(process.env.DB_PATH || path.join(__dirname, 'ravqa.db'));
+    return db;
+}
+
+// ===============
+// Fonctions d'auto-liage question ↔ réponse
+// ===============
+
+function findCandidateQuestions(groupName, tsSec, windowHours = 6, limit = 30) {
+    // Cherche les questions du même groupe, posées AVANT la réponse, dans une fenêtre temporelle
+    // Le texte OCR d'une capture remplace le "[Photo] légende" générique
+    return getDb().prepare(`
+    SELECT id, ts, COALESCE(NULLIF(ocr_text, ''), question_text) AS question_text
+    FROM messages
+    WHERE group_name = ?
+      AND question_text IS NOT NULL AND question_text!=''
+      AND ts <= ?
+      AND ts >= ? - ?
+    ORDER BY ts DESC
+    LIMIT ?
+  `).all(groupName, tsSec, tsSec, windowHours * 3600, limit);
+}
+
+function simpleSimilarity(a, b) {
+    if (!a || !b) return 0;
+    a = a.toLowerCase(); b = b.toLowerCase();
+    // petit score heuristique (mots en commun)
+    const ta = new Set(a.split(/\W+/).filter(Boolean));
+    const tb = new Set(b.split(/\W+/).filter(Boolean));
+    let inter = 0; for (const t of ta) if (tb.has(t)) inter++;
+    return inter / Math.max(3, Math.min(ta.size, tb.size));
+}
+
+function pickBestQuestion(candidates, answerText) {
+    let best = null;
+    for (const c of candidates) {
+        const s = simpleSimilarity(c.question_text, answerText);
+        if (!best || s > best.score) best = { id: c.id, score: s };
+    }
+    return best;
+}
+
+async function autoLinkAnswer(waId, groupName, answerText, tsSec = Math.floor(Date.now() / 1000)) {
+    try {
+        const candidates = findCandidateQuestions(groupName, tsSec, 6, 50);
+
+        let linkId = null, conf = null;
+
+        if (candidates.length > 0) {
+            const best = pickBestQuestion(candidates, answerText);
+            if (best && best.score >= 0.15) { // seuil léger
+                linkId = best.id;
+                conf = Number(best.score.toFixed(3));
+            } else {
+                // fallback : la plus proche dans le temps (1ère de la liste)
+                linkId = candidates[0].id;
+                conf = 0.05;
+            }
+        }
+
+        // Mise à jour en base
+        getDb().prepare(`
+      UPDATE messages
+      SET link_question_id = COALESCE(?, link_question_id),
+          link_confidence = COALESCE(?, link_confidence)
+      WHERE wa_message_id = ?
+    `).run(linkId, conf, waId);
+
+        if (linkId) {
+            console.log(`🔗 Auto-liage: ${waId} → question #${linkId} (confiance: ${conf})`);
+        }
+    } catch (e) {
+        console.log('⚠️ Erreur auto-liage:', e?.message || e);
+    }
+}
+
+// ===============
+// Étapes du pipeline
+// ===============
+
+function mediaExtension(mimetype, filename) {
+    if (mimetype.includes('pdf')) return 'pdf';
+    if (mimetype.startsWith('video/')) return mimetype.includes('webm') ? 'webm' : mimetype.includes('quicktime') ? 'mov' : 'mp4';
+    if (!mimetype.startsWith('audio/')) {
+        // Document quelconque : extension du nom d'origine, sinon sous-type MIME
+        if (filename && path.extname(filename)) return path.extname(filename).slice(1).toLowerCase();
+        return (mimetype.split('/')[1] || 'bin').split(/[;+.]/)[0];
+    }
+    return mimetype.includes('ogg') ? 'ogg' :
+        mimetype.includes('opus') ? 'opus' :
+            mimetype.includes('mp4') ? 'mp4' : 'mp3';
+}
+
+function mediaTypeOfJob(job, entry) {
+    return job.payload.mediaType || entry.media_type || 'audio';
+}
+
+// Texte de la réponse : transcription (audio, vidéo, PDF) ou texte OCR (image)
+function answerTextOf(entry) {
+    return entry.transcript_raw || entry.ocr_text || '';
+}
+
+async function loadEntry(waId) {
+    const entry = await DB.findByWA(waId);
+    if (!entry) throw new Error(`Message ${waId} introuvable en base`);
+    return entry;
+}
+
+// 1) Téléchargement du média (re-récupéré via le transport : fonctionne après un redémarrage)
+async function downloadStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+
+    let payload = job.payload;
+    if (!entry.audio_path || !fs.existsSync(entry.audio_path) || fs.statSync(entry.audio_path).size === 0) {
+        const transport = getActiveTransport();
+        const msg = await transport.getMessageById(waId);
+        if (!msg) throw new Error('Message introuvable côté WhatsApp');
+
+        const media = await transport.downloadMedia(msg);
+        if (!media) throw new Error('Téléchargement du média impossible');
+        // Enregistrement replay (WA_RECORD_DIR) : même téléchargement, pas de second appel à WhatsApp
+        if (process.env.WA_RECORD_DIR) saveRecordedMedia(process.env.WA_RECORD_DIR, msg, media);
+
+        const filePath = path.join(MEDIA_DIR, `${waId}.${mediaExtension(media.mimetype, media.filename)}`);
+        fs.writeFileSync(filePath, Buffer.from(media.data, 'base64'));
+        await DB.updateAudioPath(waId, filePath);
+        payload = { ...payload, mimetype: media.mimetype };
+    }
+
+    // Vidéos et documents : extraction du contenu avant transcription
+    const mediaType = mediaTypeOfJob(job, entry);
+    const next = mediaType === 'video' || mediaType === 'document' ? 'extract' : 'transcribe';
+    return { next: [{ stage: next, payload }] };
+}
+
+// 1b) Extraction : piste audio des vidéos, texte des PDF (stocké comme transcription brute)
+async function extractStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+    const name = path.basename(entry.audio_path || '');
+
+    if (mediaTypeOfJob(job, entry) === 'video') {
+        const track = await extractAudioTrack(entry.audio_path);
+        if (!track) {
+            console.log(`🎬 Vidéo ${name} sans piste audio, archivée sans transcription.`);
+            return;
+        }
+        return { next: [{ stage: 'transcribe', payload: job.payload }] };
+    }
+
+    if (!isPdf(entry.audio_path, job.payload.mimetype)) {
+        console.log(`📄 Document ${name} archivé (pas d'extraction de texte pour ce format).`);
+        return;
+    }
+
+    if (!entry.transcript_raw) {
+        const text = await extractPdfText(entry.audio_path);
+        if (!text) {
+            console.log(`📄 PDF ${name} sans texte extractible (scan ?), archivé tel quel.`);
+            return;
+        }
+        await DB.updateTranscript(waId, text, null);
+        if (!job.payload.isCatchUp) console.log(`📄 PDF ${name}: ${text.length} caractères extraits`);
+    }
+    return { next: [{ stage: 'transcribe', payload: job.payload }] };
+}
+
+// 2) Transcription (cache DB pour éviter de repayer Whisper)
+async function transcribeStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+    const group = job.payload.groupJid ? getGroup(job.payload.groupJid) : null;
+    const mediaType = mediaTypeOfJob(job, entry);
+
+    // Le texte d'un document est déjà extrait : seule la transcription Whisper est désactivable
+    if (group && !group.transcribe && mediaType !== 'document') {
+        console.log(`🔇 Transcription désactivée pour ${group.name}`);
+        return;
+    }
+
+    if (!entry.transcript_raw) {
+        const source = mediaType === 'video' ? audioTrackPath(entry.audio_path) : entry.audio_path;
+        // Moteur / modèle : imposés par le job (ex: import hors ligne), sinon réglages du groupe
+        const { backend, model } = resolveStt({ group, payload: job.payload });
+        const res = await transcribeAudio(source, { questionHint: entry.question_text || null, language: group?.language || null, backend, model });
+        if (!res.text) throw new Error('Transcription vide');
+        await DB.updateTranscript(waId, res.text, null, { model: modelLabel(res), policy: res.policy });
+    } else if (!job.payload.isCatchUp) {
+        console.log('⚡ Transcription récupérée du cache DB.');
+    }
+
+    // Audio d'un membre non répondant : transcrit mais pas traité comme une réponse
+    if (!job.payload.isResponder) {
+        console.log(`🎙️ Audio de ${job.payload.senderName} (non répondant) transcrit sans liaison.`);
+        return;
+    }
+    return { next: [{ stage: 'link', payload: job.payload }] };
+}
+
+// 3) Matching intelligent question↔réponse (désactivable par groupe)
+async function linkStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+    const group = job.payload.groupJid ? getGroup(job.payload.groupJid) : null;
+    const autoLink = !group || group.autoLink;
+
+    const match = autoLink ? await enhancedMatchAnswerToQuestion({
+        groupName: entry.group_name,
+        audioWAId: waId,
+        answerText: answerTextOf(entry),
+        answerSender: entry.sender_name || '',
+        answerTsSec: entry.ts,
+        repliedToMessageId: entry.replied_to_message_id || null,
+        questionTextHint: entry.question_text || null
+    }) : { qid: null, confidence: 0, method: 'disabled', questionText: null };
+
+    if (!job.payload.isCatchUp) {
+        console.log(`🔗 Lien ${match.method} → qid=${match.qid || 'aucune'} (conf=${(match.confidence || 0).toFixed(2)})`);
+    }
+
+    // La question liée peut appartenir à un autre fil que celui choisi à l'arrivée du message
+    if (match.qid) assignThread(waId, { reassign: true });
+
+    return {
+        next: [{
+            stage: 'torah',
+            payload: { ...job.payload, autoLink, matchedQuestionText: match.questionText || null }
+        }]
+    };
+}
+
+// 4) Correction + Version Torah, puis auto-liage sur la version générée
+async function torahStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+
+    const { transcriptionCorrigee, versionTorah, drapeauIncomplet } = await processEntry({
+        question: entry.question_text || job.payload.matchedQuestionText || '',
+        rawTranscription: answerTextOf(entry)
+    });
+    if (!versionTorah) throw new Error('Version Torah vide');
+
+    await DB.updateProcessedEntry(waId, transcriptionCorrigee, versionTorah, drapeauIncomplet);
+
+    if (job.payload.autoLink !== false) await autoLinkAnswer(waId, entry.group_name, versionTorah, entry.ts);
+
+    if (!job.payload.isCatchUp) {
+        console.log(`🎵 Traité: ${versionTorah.substring(0, 50)}... [Incomplet: ${drapeauIncomplet}]`);
+    }
+    return { next: [{ stage: 'sync', payload: job.payload }] };
+}
+
+// Image : OCR ; une capture envoyée par un répondant est traitée comme une réponse écrite
+async function ocrStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+
+    let text = entry.ocr_text;
+    if (text === null || text === undefined) {
+        text = await recognize(entry.audio_path);
+        await DB.updateOcrText(waId, text);
+    }
+
+    if (!isMeaningful(text)) return;
+    if (!job.payload.isCatchUp) console.log(`🔎 OCR ${path.basename(entry.audio_path)}: ${text.substring(0, 50)}...`);
+
+    // Capture d'un membre : reste une question candidate (via ocr_text)
+    if (!job.payload.isResponder) return;
+    return { next: [{ stage: 'link', payload: job.payload }] };
+}
+
+// 5) Upload audio + synchronisation Firebase
+async function syncStage(job) {
+    const waId = job.wa_message_id;
+    const entry = await loadEntry(waId);
+
+    let firebaseAudioUrl = null;
+    try {
+        firebaseAudioUrl = await firebaseSync.uploadAudio(entry.audio_path, waId, job.payload.mimetype);
+        if (firebaseAudioUrl && !job.payload.isCatchUp) {
+            console.log('☁️ Audio uploaded to Firebase Storage');
+        }
+    } catch (e) {
+        console.log('⚠️ Firebase audio upload failed:', e.message);
+    }
+
+    await firebaseSync.saveMessage({
+        wa_message_id: waId,
+        group_name: entry.group_name,
+        sender_name: entry.sender_name,
+        sender_jid: entry.sender_jid,
+        ts: entry.ts,
+        audio_path: entry.audio_path,
+        audio_firebase_url: firebaseAudioUrl,
+        audio_seconds: entry.audio_seconds,
+        question_text: entry.question_text,
+        transcript_raw: entry.transcript_raw,
+        transcript_torah: entry.transcript_torah,
+        link_question_id: entry.link_question_id,
+        link_confidence: entry.link_confidence,
+        link_method: entry.link_method,
+        answer_sender: responderName(entry) || entry.sender_name
+    });
+}
+
+queue.registerHandler('download', downloadStage, { isAvailable: () => !!getActiveTransport() });
+queue.registerHandler('extract', extractStage);
+queue.registerHandler('ocr', ocrStage);
+queue.registerHandler('transcribe', transcribeStage);
+queue.registerHandler('import_transcribe', transcribeStage, { background: true, maxConcurrent: IMPORT_TRANSCRIBE_CONCURRENCY });
+queue.registerHandler('link', linkStage);
+queue.registerHandler('torah', torahStage);
+queue.registerHandler('sync', syncStage);
+
+/**
+ * Met un média (audio, vidéo, document) en file : démarre à "download"
+ */
+function enqueueMedia(waId, payload) {
+    return queue.enqueue('download', waId, payload);
+}
+
+/**
+ * Met une image déjà téléchargée en file d'OCR
+ */
+function enqueueImage(waId, payload) {
+    return queue.enqueue('ocr', waId, payload);
+}
+
+function startPipelineWorker(options = {}) {
+    queue.startWorker({
+        concurrency: parseInt(process.env.PIPELINE_CONCURRENCY, 10) || IMPORT_TRANSCRIBE_CONCURRENCY + 1,
+        ...options
+    });
+}
+
+module.exports = {
+    enqueueMedia,
+    enqueueImage,
+    startPipelineWorker,
+    autoLinkAnswer
+};
@@ -0,0 +1,206 @@
+/**
+ * Suggestions automatiques de réponses d'archive pour les questions qui reviennent
+ * - Nouvelle question texte dans un groupe où auto_suggest est activé → recherche vectorielle (searchLocal)
+ * - Au-dessus du seuil : suggestion "pending" (table reply_suggestions)
+ * - Rien n'est envoyé dans WhatsApp avant l'approbation d'un modérateur
+ */
+
+require('dotenv').config();
+const path = require('path');
+const Database = require('better-sqlite3');
+const { searchLocal } = require('./rag_api');
+const { getActiveTransport } = require('./wa_transport');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+const DEFAULT_THRESHOLD = parseFloat(process.env.AUTO_SUGGEST_THRESHOLD) || 0.8;
+const MIN_QUESTION_CHARS = 15;    // "merci", "amen"... ne déclenchent pas de recherche
+const EXCERPT_CHARS = 600;
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureSuggestionsTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS reply_suggestions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            group_jid TEXT NOT NULL,
+            group_name TEXT,
+            question_wa_id TEXT UNIQUE,
+            question_text TEXT,
+            suggested_message_id INTEGER,
+            score REAL,
+            status TEXT DEFAULT 'pending', -- 'pending', 'sent', 'rejected', 'failed'
+            error TEXT,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            decided_at INTEGER,
+            FOREIGN KEY (suggested_message_id) REFERENCES messages(id)
+        )
+    `);
+    database.exec(`CREATE INDEX IF NOT EXISTS idx_reply_suggestions_status ON reply_suggestions(status, created_at)`);
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureSuggestionsTable(db);
+    }
+    return db;
+}
+
+// =============================================================================
+// CRÉATION
+// =============================================================================
+
+/**
+ * Cherche une réponse d'archive pour une nouvelle question et crée une suggestion en attente
+ * @param {Object} params { waId, question, group } (group = config de groups.js)
+ * @returns {Object|null} la suggestion créée
+ */
+async function suggestForQuestion({ waId, question, group }) {
+    if (!group || !group.autoSuggest) return null;
+    if (!question || question.trim().length < MIN_QUESTION_CHARS) return null;
+
+    const threshold = group.suggestThreshold || DEFAULT_THRESHOLD;
+    const results = await searchLocal(question, 5);
+    const best = results.find(r => r.answer && r.answer.trim());
+    if (!best || best.score < threshold) return null;
+
+    const info = getDb().prepare(`
+        INSERT OR IGNORE INTO reply_suggestions (group_jid, group_name, question_wa_id, question_text, suggested_message_id, score)
+        VALUES (?, ?, ?, ?, ?, ?)
+    `).run(group.jid, group.name, waId, question.trim(), best.id, Number(best.score.toFixed(3)));
+    if (info.changes === 0) return null;
+
+    console.log(`💡 Suggestion #${info.lastInsertRowid} pour ${group.name}: message #${best.id} (score ${best.score.toFixed(2)}) en attente de modération`);
+    return getSuggestion(info.lastInsertRowid);
+}
+
+// =============================================================================
+// MODÉRATION
+// =============================================================================
+
+function getSuggestion(id) {
+    return getDb().prepare(`
+        SELECT s.*, m.question_text AS archived_question,
+               COALESCE(m.transcript_torah, m.transcript_raw) AS archived_answer,
+               m.audio_path, m.ts AS archived_ts
+        FROM reply_suggestions s
+        LEFT JOIN messages m ON m.id = s.suggested_message_id
+        WHERE s.id = ?
+    `).get(id) || null;
+}
+
+function listSuggestions({ status = 'pending', limit = 50 } = {}) {
+    return getDb().prepare(`
+        SELECT s.*, m.question_text AS archived_question,
+               COALESCE(m.transcript_torah, m.transcript_raw) AS archived_answer,
+               m.audio_path, m.ts AS archived_ts
+        FROM reply_suggestions s
+        LEFT JOIN messages m ON m.id = s.suggested_message_id
+        ${status ? 'WHERE s.status = ?' : ''}
+        ORDER BY s.created_at DESC
+        LIMIT ?
+    `).all(...(status ? [status, limit] : [limit]));
+}
+
+function formatReply(s) {
+    const answer = (s.archived_answer || '').trim();
+    const excerpt = answer.length > EXCERPT_CHARS ? answer.substring(0, EXCERPT_CHARS) + '…' : answer;
+    const date = s.archived_ts ? new Date(s.archived_ts * 1000).toLocaleDateString('fr-FR') : null;
+    return [
+        `📚 *Le Rav a déjà répondu à une question similaire*${date ? ` (${date})` : ''} :`,
+        s.archived_question ? `*Question :* ${s.archived_question}` : null,
+        `*Réponse :* ${excerpt}`,
+        s.audio_path && PUBLIC_BASE_URL ? `🎧 ${PUBLIC_BASE_URL}/audio/${path.basename(s.audio_path)}` : null
+    ].filter(Boolean).join('\n\n');
+}
+
+/**
+ * Approuve une suggestion : envoie la réponse d'archive en réponse à la question
+ * @throws {Error} si la suggestion n'est plus en attente ou si le bot est inactif
+ */
+async function approveSuggestion(id) {
+    const s = getSuggestion(id);
+    if (!s) throw new Error('Suggestion introuvable');
+    if (s.status !== 'pending' && s.status !== 'failed') throw new Error(`Suggestion déjà traitée (${s.status})`);
+
+    const transport = getActiveTransport();
+    if (!transport) throw new Error('Bot WhatsApp inactif');
+
+    const database = getDb();
+    try {
+        await transport.sendMessage(s.group_jid, formatReply(s), { quotedMessageId: s.question_wa_id });
+        database.prepare(`
+            UPDATE reply_suggestions SET status = 'sent', error = NULL, decided_at = strftime('%s', 'now') WHERE id = ?
+        `).run(id);
+        console.log(`✅ Suggestion #${id} approuvée et envoyée dans ${s.group_name}`);
+    } catch (e) {
+        database.prepare(`
+            UPDATE reply_suggestions SET status = 'failed', error = ?, decided_at = strftime('%s', 'now') WHERE id = ?
+        `).run(e.message, id);
+        throw e;
+    }
+    return getSuggestion(id);
+}
+
+function rejectSuggestion(id) {
+    const info = getDb().prepare(`
+        UPDATE reply_suggestions SET status = 'rejected', decided_at = strftime('%s', 'now')
+        WHERE id = ? AND status IN ('pending', 'failed')
+    `).run(id);
+    return info.changes > 0;
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupAutoSuggestEndpoints(app, requireAdmin) {
+    // GET /api/admin/reply-suggestions?status=pending|sent|rejected|failed|all
+    app.get('/api/admin/reply-suggestions', requireAdmin, (req, res) => {
+        try {
+            const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+            res.json({ suggestions: listSuggestions({ status, limit: parseInt(req.query.limit) || 50 }) });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/reply-suggestions/:id/approve - Envoie la réponse dans le groupe
+    app.post('/api/admin/reply-suggestions/:id/approve', requireAdmin, async (req, res) => {
+        try {
+            const suggestion = await approveSuggestion(req.params.id);
+            res.json({ success: true, suggestion });
+        } catch (e) {
+            const status = e.message === 'Suggestion introuvable' ? 404 :
+                e.message === 'Bot WhatsApp inactif' ? 503 :
+                    e.message.startsWith('Suggestion déjà traitée') ? 409 : 500;
+            res.status(status).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/reply-suggestions/:id/reject
+    app.post('/api/admin/reply-suggestions/:id/reject', requireAdmin, (req, res) => {
+        try {
+            if (!rejectSuggestion(req.params.id)) return res.status(404).json({ error: 'Suggestion introuvable ou déjà traitée' });
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    console.log('✅ Auto-suggest endpoints registered: /api/admin/reply-suggestions');
+}
+
+module.exports = {
+    ensureSuggestionsTable,
+    suggestForQuestion,
+    listSuggestions,
+    approveSuggestion,
+    rejectSuggestion,
+    setupAutoSuggestEndpoints
+};
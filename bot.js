@@ -2,35 +2,22 @@ require('dotenv').config({ path: require('path').join(__dirname, '.env') });
 const path = require('path');
 const fs = require('fs');
 const qrcode = require('qrcode-terminal');
-const QRCode = require('qrcode');
-const { Client, LocalAuth } = require('whatsapp-web.js');
-const Database = require('better-sqlite3');
-const halakhaAi = require('./halakha_ai');
-const OpenAI = require('openai');
-const AdmZip = require('adm-zip');
-
-// AUTO-RESTORE DB Logic moved to initBot() to prevent blocking require()
-const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'ravqa.db');
-const DB_ZIP = path.join(__dirname, 'ravqa.db.zip');
-
-let openai = null;
-if (process.env.OPENAI_API_KEY) {
-  try {
-    openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
-  } catch (e) {
-    console.error('OpenAI Init Error:', e.message);
-  }
-}
+const { createTransportFromEnv, setActiveTransport, recordMessage, recordEvent } = require('./wa_transport');
+const { handleEdit, handleRevoke, handleReaction } = require('./message_events');
+const { isCommand, handleCommand } = require('./bot_commands');
+const botStatus = require('./bot_status');
 const { processMessage } = require('./message_processor');
+const { startPipelineWorker } = require('./audio_pipeline');
+const { runSmartCatchUp, resumeBackfills, advanceLiveCursor, resetCaughtUpChats } = require('./catchup');
 
 // Configuration
 const MEDIA_DIR = path.join(__dirname, 'media');
 if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
 
-const GROUPS = [process.env.GROUP_1, process.env.GROUP_2].filter(Boolean);
+const { listGroups } = require('./groups');
 
-// Client WhatsApp (Lazy Loading)
-let client = null;
+// Transport WhatsApp (Lazy Loading) - webjs (live) ou replay (hors ligne)
+let transport = null;
 
 // ===============
 // UTILS
@@ -40,192 +27,209 @@ function prettyNow() {
   return new Date().toLocaleString();
 }
 
-function safeRestart(reason = 'Unknown') {
-  console.error(`🔄 Restarting bot due to: ${reason}`);
-  try {
-    if (client) client.destroy();
-  } catch (e) {
-    console.error('Error destroying client:', e);
-  }
-  // PM2 will handle the restart
-  setTimeout(() => process.exit(1), 1000);
-}
-
 // ===============
-// CATCH-UP LOGIC
+// RECONNEXION
 // ===============
 
-async function catchUpFromDate(sinceTs) {
-  if (!client) return;
-  console.log(`\n🚀 Starting Catch-up from ${new Date(sinceTs * 1000).toLocaleString()}`);
-
+const RECONNECT_DELAYS_S = [5, 15, 60, 300];
+let reconnectTimer = null;
+let reconnectAttempts = 0;
+let restarting = false;
+
+/**
+ * Relance le transport dans le même processus (plus de process.exit / PM2)
+ * logout: true → supprime la session, un nouveau QR sera émis
+ */
+async function restartTransport(reason, { logout = false } = {}) {
+  if (!transport) throw new Error('Bot non initialisé');
+  if (restarting) throw new Error('Reconnexion déjà en cours');
+  restarting = true;
+  clearTimeout(reconnectTimer);
+  reconnectTimer = null;
+  console.log(`🔄 Reconnexion du bot (${reason})...`);
   try {
-    const chats = await client.getChats();
-    const targets = chats.filter(c => c.isGroup && GROUPS.includes(c.name));
-    // ... (rest logic same)
-
-    // Simplification for brevity in this replace block, putting logic back fully not needed if I don't touch it.
-    // WAIT, I AM REPLACING GLOBAL SCOPE. I NEED TO KEEP CATCHUP LOGIC.
-    // Actually, CatchUp logic uses `client`. It is defined as function so it captures `client` from closure.
-    // If `client` is `let` it works fine.
-
-    // Let's rewrite catchUp functions to be safe.
-    if (targets.length === 0) {
-      console.log('⚠️ No target groups found for catch-up.');
-      return 0;
-    }
-
-    let totalProcessed = 0;
-
-    for (const chat of targets) {
-      console.log(`📂 Processing group: ${chat.name}`);
-      let lastMsgId = undefined;
-      let finished = false;
-
-      while (!finished) {
-        const options = { limit: 50 };
-        if (lastMsgId) options.before = lastMsgId;
-
-        const messages = await chat.fetchMessages(options);
-        if (!messages || messages.length === 0) break;
-
-        const relevant = messages.filter(m => m.timestamp >= sinceTs);
-
-        for (const msg of relevant) {
-          await processMessage(msg, { isCatchUp: true });
-          totalProcessed++;
-        }
-
-        if (messages[0].timestamp < sinceTs) {
-          finished = true;
-        } else {
-          lastMsgId = messages[0].id._serialized;
-          if (messages.length < 50) finished = true;
-        }
-
-        await new Promise(r => setTimeout(r, 500));
-      }
+    if (logout) {
+      try { await transport.logout(); } catch (e) { console.error('Logout error:', e.message); }
     }
-
-    console.log(`✅ Catch-up completed. Processed ${totalProcessed} messages.`);
-    return totalProcessed;
-  } catch (e) {
-    console.error('❌ Catch-up error:', e);
-    return 0;
+    try { await transport.destroy(); } catch (e) { console.error('Error destroying client:', e.message); }
+    // Un client whatsapp-web.js détruit ne se réinitialise pas proprement (navigateur fermé,
+    // pupPage périmée, écouteurs en double) : nouveau transport, événements rebranchés
+    attachTransport(createTransportFromEnv());
+    botStatus.setStatus({ state: 'initializing', qr: null, qrAt: null, pairingCode: null });
+    global.pairingCodeRequested = false;
+  } finally {
+    restarting = false;
   }
+  // initialize() peut durer (replay) : l'état est suivi via les événements
+  transport.initialize().catch(e => {
+    console.error('❌ Bot initialization failed:', e.message);
+    scheduleReconnect(`Init: ${e.message}`);
+  });
 }
 
-async function runSmartCatchUp() {
-  const db = new Database(DB_PATH);
-  const row = db.prepare('SELECT MAX(ts) as last_ts FROM messages').get();
-  db.close();
+function scheduleReconnect(reason = 'Unknown') {
+  if (reconnectTimer || restarting) return;
+  const delay = RECONNECT_DELAYS_S[Math.min(reconnectAttempts, RECONNECT_DELAYS_S.length - 1)];
+  reconnectAttempts++;
+  botStatus.setStatus({ reconnectAttempts });
+  console.error(`🔄 Reconnexion dans ${delay}s (${reason})`);
+  reconnectTimer = setTimeout(() => {
+    reconnectTimer = null;
+    restartTransport(reason).catch(e => console.error('Reconnect error:', e.message));
+  }, delay * 1000);
+}
 
-  let hours = 24;
-  if (row && row.last_ts) {
-    const diffHours = (Date.now() / 1000 - row.last_ts) / 3600;
-    hours = Math.ceil(diffHours) + 1;
-    if (hours > 720) hours = 720;
-  }
+function reconnectBot() {
+  return restartTransport('Admin');
+}
 
-  const sinceTs = Math.floor(Date.now() / 1000) - (hours * 3600);
-  await catchUpFromDate(sinceTs);
+function logoutBot() {
+  return restartTransport('Logout (Admin)', { logout: true });
 }
 
+async function requestPairingCode({ phone } = {}) {
+  const number = String(phone || process.env.LINK_PHONE_NUMBER || '').replace(/\D/g, '');
+  if (!number) throw new Error('phone requis (numéro international, chiffres uniquement)');
+  if (!transport) throw new Error('Bot non initialisé');
+  console.log(`📞 Demande de code d'appairage pour ${number}...`);
+  const code = await transport.requestPairingCode(number);
+  botStatus.setStatus({ pairingCode: code });
+  console.log('🔑 CODE D\'APPAIRAGE WHATSAPP : ' + code);
+  return { pairingCode: code };
+}
 
 // ===============
 // INIT
 // ===============
 
-async function initBot() {
-  console.log('🚀 Initializing WhatsApp Bot...');
+/**
+ * Branche les événements du bot sur un transport neuf (démarrage, puis chaque reconnexion)
+ */
+function attachTransport(next) {
+  transport = next;
+  setActiveTransport(transport);
+  botStatus.setStatus({ transport: transport.name });
 
-  // RESTORE DB handled by server.js (restore_db.js)
-
-  // INSTANTIATE CLIENT HERE (LAZY)
-  console.log('🤖 Creating WhatsApp Client...');
-  client = new Client({
-    authStrategy: new LocalAuth({ clientId: 'rav' }),
-    puppeteer: {
-      headless: true,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--no-first-run',
-        '--no-zygote',
-        '--single-process',
-        '--disable-gpu'
-      ],
-      timeout: 60000
-    },
-    authTimeoutMs: 60000
-  });
+  for (const event of ['qr', 'authenticated', 'auth_failure', 'ready', 'disconnected', 'message', 'message_edit', 'message_revoke_everyone', 'message_reaction']) {
+    transport.on(event, () => botStatus.touch(event));
+  }
 
-  // ATTACH EVENTS
-  client.on('qr', async (qr) => {
+  transport.on('qr', async (qr) => {
+    botStatus.setStatus({ state: 'qr', qr, qrAt: Math.floor(Date.now() / 1000) });
     if (process.env.LINK_PHONE_NUMBER && !global.pairingCodeRequested) {
       global.pairingCodeRequested = true;
-      console.log(`📞 Demande de code d'appairage pour ${process.env.LINK_PHONE_NUMBER}...`);
       try {
-        const code = await client.requestPairingCode(process.env.LINK_PHONE_NUMBER);
-        console.log('🔑 CODE D\'APPAIRAGE WHATSAPP : ' + code);
+        await requestPairingCode({ phone: process.env.LINK_PHONE_NUMBER });
       } catch (e) { console.error('Erreur Pairing:', e); }
       return;
     }
-    console.log('📷 QR Code received');
+    console.log('📷 QR Code received (aussi disponible sur /qr.html)');
     qrcode.generate(qr, { small: true });
-    try { await QRCode.toFile('./qr.png', qr); } catch (e) { }
   });
 
-  client.on('ready', async () => {
+  transport.on('ready', async () => {
     console.log('✅ Client is ready!');
-    console.log(`Target Groups: ${GROUPS.join(', ')}`);
-    setTimeout(() => { runSmartCatchUp().catch(console.error); }, 5000);
+    reconnectAttempts = 0;
+    resetCaughtUpChats();
+    botStatus.setStatus({
+      state: 'connected', qr: null, qrAt: null, pairingCode: null,
+      connectedAt: Math.floor(Date.now() / 1000), reconnectAttempts: 0
+    });
+    console.log(`Target Groups: ${listGroups().filter(g => g.ingest).map(g => g.name).join(', ')}`);
+    // En replay "live", les messages sont déjà émis un par un : pas de catch-up
+    if (transport.name === 'replay' && transport.mode === 'live') return;
+    setTimeout(() => {
+      runSmartCatchUp(transport)
+        .then(() => resumeBackfills(transport))
+        .catch(console.error);
+    }, 5000);
   });
 
-  client.on('authenticated', () => console.log('🔐 Authenticated'));
+  transport.on('authenticated', () => {
+    console.log('🔐 Authenticated');
+    botStatus.setStatus({ state: 'authenticating', qr: null, pairingCode: null });
+  });
 
-  client.on('auth_failure', (msg) => {
+  // Session refusée : pas de reconnexion automatique (boucle inutile), déconnexion depuis l'admin
+  transport.on('auth_failure', (msg) => {
     console.error('🚫 Auth failure:', msg);
-    safeRestart('Auth Failure');
+    botStatus.setStatus({ state: 'auth_failure', lastDisconnectReason: String(msg || 'auth_failure') });
   });
 
-  client.on('disconnected', (reason) => {
+  transport.on('disconnected', (reason) => {
     console.log('🔌 Disconnected:', reason);
-    safeRestart(`Disconnected: ${reason}`);
+    botStatus.setStatus({ state: 'disconnected', lastDisconnectReason: String(reason || 'unknown') });
+    scheduleReconnect(`Disconnected: ${reason}`);
   });
 
-  client.on('message', async msg => {
+  transport.on('message', async msg => {
     try {
-      await processMessage(msg);
-      // Commands logic...
-      if (msg.body && msg.body.startsWith('!rav')) {
-        const prompt = msg.body.substring(5).trim();
-        const rep = await halakhaAi.get_halakha_response(prompt, true);
-        if (rep) await msg.reply(`🤖 *RavAI:* ${rep}`);
+      if (process.env.WA_RECORD_DIR) await recordMessage(transport, msg, process.env.WA_RECORD_DIR);
+      // Commandes (!rav, !cherche, ...) : traitées sans être archivées comme questions
+      if (msg.type === 'chat' && isCommand(msg.body)) {
+        await handleCommand(msg, { transport });
+        return;
       }
+      await processMessage(msg, { transport });
+      // Curseur par chat (msg.from = JID du groupe), une fois le trou hors ligne de ce chat rattrapé
+      await advanceLiveCursor(msg.from, msg.timestamp);
     } catch (e) { console.error('Message Error:', e); }
   });
 
-  // Watchdog
-  let lastEvent = Date.now();
-  client.on('message', () => lastEvent = Date.now());
-  setInterval(() => {
-    if (Date.now() - lastEvent > 60 * 60 * 1000) {
-      console.log('💤 Idle for 1 hour, performing health check...');
-      if (client) {
-        client.getState().then(state => {
-          console.log(`Status: ${state}`);
-          if (state !== 'CONNECTED') safeRestart('Idle & Not Connected');
-        }).catch(() => safeRestart('Health Check Failed'));
+  // Édition d'un message déjà archivé → nouvelle version (l'ancienne reste dans message_revisions)
+  transport.on('message_edit', async (msg, newBody, prevBody) => {
+    try {
+      if (process.env.WA_RECORD_DIR) recordEvent('message_edit', msg, process.env.WA_RECORD_DIR, { newBody, prevBody });
+      handleEdit(msg, newBody, prevBody);
+    } catch (e) { console.error('Edit Error:', e); }
+  });
+
+  // Supprimé pour tous → soft-delete
+  transport.on('message_revoke_everyone', async (after, before) => {
+    try {
+      if (process.env.WA_RECORD_DIR) recordEvent('message_revoke_everyone', before || after, process.env.WA_RECORD_DIR);
+      handleRevoke(after, before);
+    } catch (e) { console.error('Revoke Error:', e); }
+  });
+
+  // Réactions (👍, ❤️...) sur les réponses archivées → feedback implicite
+  transport.on('message_reaction', async (reaction) => {
+    try {
+      if (process.env.WA_RECORD_DIR) {
+        recordEvent('message_reaction', { id: reaction.msgId }, process.env.WA_RECORD_DIR, {
+          reaction: reaction.reaction, senderId: reaction.senderId
+        });
       }
-    }
-  }, 30 * 60 * 1000);
+      handleReaction(reaction);
+    } catch (e) { console.error('Reaction Error:', e); }
+  });
+
+  // Watchdog : dernier événement reçu
+  transport.on('message', () => lastEvent = Date.now());
+}
+
+
+async function initBot() {
+  console.log('🚀 Initializing WhatsApp Bot...');
 
+  // RESTORE DB handled by server.js (restore_db.js)
+
+  // INSTANTIATE TRANSPORT HERE (LAZY)
+  console.log('🤖 Creating WhatsApp Transport...');
+  attachTransport(createTransportFromEnv());
+  console.log(`📡 Transport: ${transport.name}`);
+
+  botStatus.setStatus({ state: 'initializing' });
+  botStatus.registerBotActions({ reconnect: reconnectBot, logout: logoutBot, requestPairingCode });
+
+  // Worker du pipeline audio (reprend les jobs laissés par un redémarrage)
+  startPipelineWorker();
+
+  // Watchdog (inutile hors connexion réelle)
+  if (transport.name === 'webjs') startWatchdog();
 
   try {
-    await client.initialize();
+    await transport.initialize();
     console.log('✅ Bot initialization started');
   } catch (e) {
     console.error('❌ Bot initialization failed:', e);
@@ -233,8 +237,34 @@ async function initBot() {
   }
 }
 
+let lastEvent = Date.now();
+
+function startWatchdog() {
+  setInterval(() => {
+    if (Date.now() - lastEvent > 60 * 60 * 1000) {
+      console.log('💤 Idle for 1 hour, performing health check...');
+      if (transport) {
+        transport.getState().then(state => {
+          console.log(`Status: ${state}`);
+          if (state !== 'CONNECTED') scheduleReconnect('Idle & Not Connected');
+        }).catch(() => scheduleReconnect('Health Check Failed'));
+      }
+    }
+  }, 30 * 60 * 1000);
+}
+
 module.exports = {
-  get client() { return client; },
+  get client() { return transport ? transport.client : null; },
+  get transport() { return transport; },
   initBot,
-  GROUPS
+  reconnectBot,
+  logoutBot
 };
+
+// CLI: WA_TRANSPORT=replay WA_REPLAY_DIR=./replays/bug-42 node bot.js
+if (require.main === module) {
+  initBot().catch(err => {
+    console.error('❌ Bot Init Error:', err);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,267 @@
+/**
+ * Commandes du Bot WhatsApp (!rav, !cherche, !source, !stats, !aide)
+ * Registre avec aide, parsing d'arguments, permissions et limites de débit par commande
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const DB = require('./db');
+const halakhaAi = require('./halakha_ai');
+const { responderName } = require('./responders');
+
+const PREFIX = '!';
+const MEDIA_DIR = path.join(__dirname, 'media');
+const PUBLIC_BASE_URL = (process.env.PUBLIC_BASE_URL || '').replace(/\/$/, '');
+
+// JIDs autorisés pour les commandes "admin" (séparés par des virgules)
+const ADMIN_JIDS = (process.env.BOT_ADMIN_JIDS || '').split(',').map(s => s.trim()).filter(Boolean);
+
+const commands = new Map();   // nom → définition
+const aliases = new Map();    // alias → nom
+const usage = new Map();      // `${cmd}:${sender}` → [timestamps ms]
+
+// =============================================================================
+// REGISTRE
+// =============================================================================
+
+/**
+ * Enregistre une commande
+ * @param {Object} def - { name, aliases, description, usage, minArgs, permission ('all'|'admin'),
+ *                         rateLimit: { max, windowSec }, handler(ctx) }
+ */
+function registerCommand(def) {
+    if (!def.name || typeof def.handler !== 'function') {
+        throw new Error('Commande invalide: name et handler requis');
+    }
+    const cmd = {
+        aliases: [],
+        description: '',
+        usage: `${PREFIX}${def.name}`,
+        minArgs: 0,
+        permission: 'all',
+        rateLimit: { max: 5, windowSec: 60 },
+        ...def
+    };
+    commands.set(cmd.name, cmd);
+    for (const alias of cmd.aliases) aliases.set(alias, cmd.name);
+    return cmd;
+}
+
+function getCommand(name) {
+    return commands.get(name) || commands.get(aliases.get(name));
+}
+
+/**
+ * Découpe "!cmd arg1 "arg avec espaces" arg3" → { name, args, rest }
+ */
+function parseCommand(text) {
+    if (!text || !text.trim().startsWith(PREFIX)) return null;
+    const body = text.trim().slice(PREFIX.length);
+    const match = body.match(/^(\S+)\s*([\s\S]*)$/);
+    if (!match) return null;
+
+    const name = match[1].toLowerCase();
+    const rest = match[2].trim();
+    const args = [];
+    const re = /"([^"]*)"|(\S+)/g;
+    let m;
+    while ((m = re.exec(rest)) !== null) args.push(m[1] !== undefined ? m[1] : m[2]);
+
+    return { name, args, rest };
+}
+
+function isCommand(text) {
+    const parsed = parseCommand(text);
+    return !!(parsed && getCommand(parsed.name));
+}
+
+function hasPermission(cmd, senderJid) {
+    if (cmd.permission === 'admin') return ADMIN_JIDS.includes(senderJid);
+    return true;
+}
+
+// Fenêtre glissante en mémoire (suffisant pour un seul process bot)
+function checkRateLimit(cmd, senderJid) {
+    if (!cmd.rateLimit) return true;
+    const key = `${cmd.name}:${senderJid}`;
+    const now = Date.now();
+    const windowMs = cmd.rateLimit.windowSec * 1000;
+    const recent = (usage.get(key) || []).filter(t => now - t < windowMs);
+    if (recent.length >= cmd.rateLimit.max) {
+        usage.set(key, recent);
+        return false;
+    }
+    recent.push(now);
+    usage.set(key, recent);
+    return true;
+}
+
+/**
+ * Exécute la commande contenue dans le message (si c'en est une)
+ * @returns {Promise<boolean>} true si le message était une commande connue
+ */
+async function handleCommand(msg, { transport }) {
+    const parsed = parseCommand(msg.body);
+    if (!parsed) return false;
+    const cmd = getCommand(parsed.name);
+    if (!cmd) return false;
+
+    const senderJid = (msg.author || msg.from || '').toString();
+    const reply = (text) => transport.reply(msg, text);
+
+    if (!hasPermission(cmd, senderJid)) {
+        await reply('⛔ Commande réservée aux administrateurs.');
+        return true;
+    }
+    if (!checkRateLimit(cmd, senderJid)) {
+        await reply(`⏳ Trop de demandes pour ${PREFIX}${cmd.name}. Réessayez dans quelques minutes.`);
+        return true;
+    }
+    if (parsed.args.length < cmd.minArgs) {
+        await reply(`ℹ️ Usage : ${cmd.usage}`);
+        return true;
+    }
+
+    try {
+        await cmd.handler({ msg, transport, args: parsed.args, rest: parsed.rest, senderJid, reply });
+    } catch (e) {
+        console.error(`❌ Commande ${PREFIX}${cmd.name}:`, e?.message || e);
+        await reply('⚠️ Erreur lors de l\'exécution de la commande.').catch(() => { });
+    }
+    return true;
+}
+
+// =============================================================================
+// HELPERS
+// =============================================================================
+
+function truncate(text, max) {
+    if (!text) return '';
+    return text.length > max ? text.substring(0, max) + '…' : text;
+}
+
+function formatDate(ts) {
+    return ts ? new Date(ts * 1000).toLocaleDateString('fr-FR') : '?';
+}
+
+function resolveAudioFile(audioPath) {
+    if (!audioPath) return null;
+    const candidates = [
+        audioPath,
+        path.join(MEDIA_DIR, path.basename(audioPath)),
+        path.join(MEDIA_DIR, path.basename(audioPath).replace(/\.(ogg|opus)$/i, '.mp3'))
+    ];
+    return candidates.find(p => fs.existsSync(p)) || null;
+}
+
+// Recherche FTS, repli LIKE si la syntaxe FTS échoue (même logique que /api/search)
+async function searchArchive(query, limit = 5) {
+    const terms = query.split(/\s+/).filter(t => t.length > 1).map(t => `"${t.replace(/"/g, '')}"`).join(' AND ');
+    let rows = [];
+    try {
+        rows = terms ? await DB.search(terms) : [];
+    } catch (_) {
+        rows = [];
+    }
+    if (rows.length === 0) rows = await DB.likeSearch(query);
+    return rows.filter(r => !r.deleted_at).slice(0, limit);
+}
+
+// =============================================================================
+// COMMANDES
+// =============================================================================
+
+registerCommand({
+    name: 'rav',
+    description: 'Pose une question à l\'assistant (réponses basées sur les archives du Rav)',
+    usage: `${PREFIX}rav <question>`,
+    minArgs: 1,
+    rateLimit: { max: 3, windowSec: 300 },
+    async handler({ rest, reply }) {
+        const result = await halakhaAi.get_rav_response(rest, process.env.OPENAI_API_KEY ? 'gpt' : 'local');
+        if (result?.response) await reply(`🤖 *RavAI:* ${result.response}`);
+    }
+});
+
+registerCommand({
+    name: 'cherche',
+    aliases: ['search', 'recherche'],
+    description: 'Recherche dans les archives',
+    usage: `${PREFIX}cherche <mots>`,
+    minArgs: 1,
+    rateLimit: { max: 5, windowSec: 60 },
+    async handler({ rest, reply }) {
+        const rows = await searchArchive(rest, 5);
+        if (rows.length === 0) return reply(`🔍 Aucun résultat pour « ${rest} ».`);
+
+        const lines = rows.map(r => {
+            const responder = responderName(r);
+            return `*#${r.id}* (${formatDate(r.ts)}) ${truncate(r.question_text || 'Question audio', 100)}` +
+                (r.transcript_torah ? `\n   ↳ ${responder ? `${responder} : ` : ''}${truncate(r.transcript_torah, 140)}` : '');
+        });
+        await reply(`🔍 *Résultats pour « ${rest} »*\n\n${lines.join('\n\n')}\n\n💡 ${PREFIX}source <id> pour la réponse complète.`);
+    }
+});
+
+registerCommand({
+    name: 'source',
+    description: 'Renvoie la réponse enregistrée et son audio',
+    usage: `${PREFIX}source <id>`,
+    minArgs: 1,
+    rateLimit: { max: 5, windowSec: 60 },
+    async handler({ msg, transport, args, reply }) {
+        const id = parseInt(args[0].replace(/^#/, ''), 10);
+        if (!id) return reply(`ℹ️ Usage : ${PREFIX}source <id>`);
+
+        const row = await DB.findById(id);
+        if (!row || row.deleted_at) return reply(`❓ Message #${id} introuvable.`);
+
+        const answer = row.transcript_torah || row.transcript_raw_edited || row.transcript_raw;
+        const responder = responderName(row);
+        const text = [
+            `📖 *#${row.id}* (${formatDate(row.ts)})`,
+            row.question_text ? `*Question :* ${row.question_text}` : null,
+            answer ? `*Réponse${responder ? ` (${responder})` : ''} :* ${answer}` : '_Pas de transcription disponible._'
+        ].filter(Boolean).join('\n\n');
+        await reply(text);
+
+        const audioFile = resolveAudioFile(row.audio_path);
+        if (audioFile && transport.sendMedia) {
+            await transport.sendMedia(msg.from, audioFile, { quotedMessageId: msg.id._serialized });
+        } else if (row.audio_path && PUBLIC_BASE_URL) {
+            await reply(`🎧 ${PUBLIC_BASE_URL}/audio/${path.basename(row.audio_path)}`);
+        }
+    }
+});
+
+registerCommand({
+    name: 'stats',
+    description: 'Statistiques des archives',
+    rateLimit: { max: 2, windowSec: 60 },
+    async handler({ reply }) {
+        const s = await DB.stats();
+        await reply(`📊 *Archives du Rav*\n\n• Messages : ${s.total || 0}\n• Réponses transcrites : ${s.with_answer || 0}\n• Audios : ${s.with_audio || 0}`);
+    }
+});
+
+registerCommand({
+    name: 'aide',
+    aliases: ['help'],
+    description: 'Liste des commandes',
+    rateLimit: { max: 2, windowSec: 60 },
+    async handler({ senderJid, reply }) {
+        const lines = [...commands.values()]
+            .filter(c => hasPermission(c, senderJid))
+            .map(c => `• *${c.usage}* — ${c.description}`);
+        await reply(`🤖 *Commandes disponibles*\n\n${lines.join('\n')}`);
+    }
+});
+
+module.exports = {
+    registerCommand,
+    getCommand,
+    parseCommand,
+    isCommand,
+    handleCommand
+};
@@ -0,0 +1,160 @@
+/**
+ * État du bot WhatsApp (connexion, QR / code d'appairage, derniers événements)
+ * - Alimenté par bot.js, lu par les endpoints admin (JSON + flux SSE pour public/qr.html)
+ * - Actions reconnexion / déconnexion déléguées au bot via registerBotActions()
+ */
+
+const EventEmitter = require('events');
+const QRCode = require('qrcode');
+const DB = require('./db');
+
+const events = new EventEmitter();
+events.setMaxListeners(50);
+
+const SSE_HEARTBEAT_MS = 25000;
+
+const status = {
+    state: 'stopped',   // 'stopped', 'initializing', 'qr', 'authenticating', 'connected', 'disconnected', 'auth_failure'
+    transport: null,
+    qr: null,
+    qrAt: null,
+    pairingCode: null,
+    connectedAt: null,
+    lastEventAt: null,
+    lastEvent: null,
+    lastMessageAt: null,
+    lastDisconnectReason: null,
+    reconnectAttempts: 0
+};
+
+let actions = null;   // { reconnect, logout, requestPairingCode }
+
+function nowSec() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Met à jour l'état et notifie les abonnés SSE
+ */
+function setStatus(patch) {
+    Object.assign(status, patch);
+    events.emit('update', getStatusSnapshot());
+}
+
+/**
+ * Enregistre un événement WhatsApp (horodatage du dernier signe de vie)
+ */
+function touch(event) {
+    status.lastEventAt = nowSec();
+    status.lastEvent = event;
+    if (event === 'message') status.lastMessageAt = status.lastEventAt;
+}
+
+function getStatusSnapshot() {
+    return { ...status };
+}
+
+async function getStatus() {
+    const lastCatchUp = await DB.getState('last_catchup_at').catch(() => null);
+    return { ...getStatusSnapshot(), lastCatchUpAt: lastCatchUp ? parseInt(lastCatchUp, 10) : null };
+}
+
+async function qrPayload(snapshot) {
+    const dataUrl = snapshot.qr ? await QRCode.toDataURL(snapshot.qr).catch(() => null) : null;
+    return {
+        state: snapshot.state,
+        qr: snapshot.qr,
+        qrDataUrl: dataUrl,
+        qrAt: snapshot.qrAt,
+        pairingCode: snapshot.pairingCode
+    };
+}
+
+function registerBotActions(botActions) {
+    actions = botActions;
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupBotEndpoints(app, requireAdmin) {
+    // EventSource ne peut pas envoyer d'en-tête : token accepté en query string pour le flux uniquement
+    const requireAdminStream = (req, res, next) => {
+        if (!req.headers['x-admin-token'] && req.query.token) req.headers['x-admin-token'] = String(req.query.token);
+        requireAdmin(req, res, next);
+    };
+
+    const runAction = (name) => async (req, res) => {
+        if (!actions) return res.status(503).json({ error: 'Bot WhatsApp inactif (ENABLE_BOT)' });
+        try {
+            const result = await actions[name](req.body || {});
+            res.json({ success: true, ...(result || {}), status: await getStatus() });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    };
+
+    // GET /api/admin/bot/status
+    app.get('/api/admin/bot/status', requireAdmin, async (req, res) => {
+        try {
+            res.json(await getStatus());
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/bot/qr - Dernier QR / code d'appairage
+    app.get('/api/admin/bot/qr', requireAdmin, async (req, res) => {
+        try {
+            res.json(await qrPayload(getStatusSnapshot()));
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/bot/qr/stream?token=... - Flux SSE (état + QR à chaque changement)
+    app.get('/api/admin/bot/qr/stream', requireAdminStream, async (req, res) => {
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+
+        const send = async (snapshot) => {
+            const payload = { ...(await qrPayload(snapshot)), lastEventAt: snapshot.lastEventAt, connectedAt: snapshot.connectedAt };
+            res.write(`event: status\ndata: ${JSON.stringify(payload)}\n\n`);
+        };
+
+        await send(getStatusSnapshot());
+        const onUpdate = (snapshot) => { send(snapshot).catch(() => { }); };
+        events.on('update', onUpdate);
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), SSE_HEARTBEAT_MS);
+
+        req.on('close', () => {
+            clearInterval(heartbeat);
+            events.off('update', onUpdate);
+        });
+    });
+
+    // POST /api/admin/bot/reconnect - Relance la connexion (session conservée)
+    app.post('/api/admin/bot/reconnect', requireAdmin, runAction('reconnect'));
+
+    // POST /api/admin/bot/logout - Supprime la session WhatsApp, un nouveau QR est généré
+    app.post('/api/admin/bot/logout', requireAdmin, runAction('logout'));
+
+    // POST /api/admin/bot/pairing-code { phone } - Appairage par code plutôt que QR
+    app.post('/api/admin/bot/pairing-code', requireAdmin, runAction('requestPairingCode'));
+
+    console.log('✅ Bot endpoints registered: /api/admin/bot');
+}
+
+module.exports = {
+    setStatus,
+    touch,
+    getStatus,
+    registerBotActions,
+    setupBotEndpoints
+};
@@ -0,0 +1,310 @@
+/**
+ * Catch-up & Backfill par groupe
+ * - Curseur par chat (table state, clé `cursor:<jid>`) : un groupe actif ne masque plus les trous d'un autre
+ * - Backfill reprenable (clé `backfill:<jid>`) : remonte l'historique (transport.fetchMessagesBefore) jusqu'à une date choisie
+ * - Les messages live n'avancent le curseur d'un chat qu'une fois ce chat rattrapé depuis la connexion
+ *   (sinon le trou hors ligne serait sauté au catch-up)
+ */
+
+require('dotenv').config();
+const DB = require('./db');
+const { getActiveTransport } = require('./wa_transport');
+const { resolveGroup } = require('./groups');
+
+const BATCH_SIZE = 50;
+const BATCH_PAUSE_MS = 500;
+const CURSOR_OVERLAP_SEC = 60;        // léger recouvrement (messages arrivés dans la même seconde)
+const DEFAULT_LOOKBACK_SEC = 24 * 3600;
+
+const runningBackfills = new Set();   // JIDs en cours dans ce process
+const caughtUpChats = new Set();      // JIDs rattrapés depuis la dernière connexion
+
+// processMessage chargé à la demande (évite de charger le pipeline dans le serveur web seul)
+function getProcessMessage() {
+    return require('./message_processor').processMessage;
+}
+
+function chatJid(chat) {
+    return chat.id?._serialized || chat.id;
+}
+
+// =============================================================================
+// CURSEURS
+// =============================================================================
+
+async function getCursor(jid) {
+    const value = await DB.getState(`cursor:${jid}`);
+    return value ? parseInt(value, 10) : null;
+}
+
+/**
+ * Avance le curseur d'un chat (ne recule jamais)
+ */
+async function advanceCursor(jid, ts) {
+    if (!jid || !ts) return;
+    const current = await getCursor(jid);
+    if (!current || ts > current) await DB.setState(`cursor:${jid}`, ts);
+}
+
+/**
+ * Curseur avancé par un message live : seulement si le chat a déjà été rattrapé depuis la connexion
+ */
+async function advanceLiveCursor(jid, ts) {
+    if (caughtUpChats.has(jid)) await advanceCursor(jid, ts);
+}
+
+/**
+ * Nouvelle connexion : les chats doivent être rattrapés avant que le live avance leurs curseurs
+ */
+function resetCaughtUpChats() {
+    caughtUpChats.clear();
+}
+
+// =============================================================================
+// CATCH-UP
+// =============================================================================
+
+/**
+ * Rattrape un chat depuis sinceTs (du plus récent au plus ancien, par lots)
+ * @returns {number} messages traités
+ */
+async function catchUpChat(chat, sinceTs, transport) {
+    const processMessage = getProcessMessage();
+    let lastMsgId = undefined;
+    let finished = false;
+    let processed = 0;
+    let maxTs = null;
+
+    while (!finished) {
+        const messages = await transport.fetchMessagesBefore(chat, { limit: BATCH_SIZE, before: lastMsgId });
+        if (!messages || messages.length === 0) break;
+
+        const relevant = messages.filter(m => m.timestamp >= sinceTs);
+
+        for (const msg of relevant) {
+            await processMessage(msg, { isCatchUp: true, transport });
+            processed++;
+            if (!maxTs || msg.timestamp > maxTs) maxTs = msg.timestamp;
+        }
+
+        if (messages[0].timestamp < sinceTs) {
+            finished = true;
+        } else {
+            lastMsgId = messages[0].id._serialized;
+            if (messages.length < BATCH_SIZE) finished = true;
+        }
+
+        await new Promise(r => setTimeout(r, BATCH_PAUSE_MS));
+    }
+
+    // Curseur avancé seulement une fois le chat entièrement rattrapé
+    if (maxTs) await advanceCursor(chatJid(chat), maxTs);
+    caughtUpChats.add(chatJid(chat));
+    return processed;
+}
+
+/**
+ * Catch-up de tous les groupes ingérés, chacun depuis son propre curseur
+ */
+async function runSmartCatchUp(transport = getActiveTransport()) {
+    if (!transport) return 0;
+
+    let total = 0;
+    try {
+        const chats = await transport.getChats();
+        const targets = chats.filter(c => c.isGroup && resolveGroup(c).ingest);
+        if (targets.length === 0) {
+            console.log('⚠️ No target groups found for catch-up.');
+            return 0;
+        }
+
+        for (const chat of targets) {
+            const jid = chatJid(chat);
+            let sinceTs = await getCursor(jid);
+            if (!sinceTs) {
+                // Pas encore de curseur : dernier message connu de ce groupe, sinon 24h
+                const row = await DB.lastMessageTs(chat.name);
+                sinceTs = row || Math.floor(Date.now() / 1000) - DEFAULT_LOOKBACK_SEC;
+            }
+            sinceTs -= CURSOR_OVERLAP_SEC;
+
+            console.log(`📂 Catch-up ${chat.name} depuis ${new Date(sinceTs * 1000).toLocaleString()}`);
+            const n = await catchUpChat(chat, sinceTs, transport);
+            console.log(`   ↳ ${n} messages`);
+            total += n;
+        }
+
+        await DB.setState('last_catchup_at', Math.floor(Date.now() / 1000));
+        console.log(`✅ Catch-up completed. Processed ${total} messages.`);
+    } catch (e) {
+        console.error('❌ Catch-up error:', e);
+    }
+    return total;
+}
+
+// =============================================================================
+// BACKFILL (reprenable)
+// =============================================================================
+
+async function getBackfill(jid) {
+    const value = await DB.getState(`backfill:${jid}`);
+    if (!value) return null;
+    try { return JSON.parse(value); } catch (_) { return null; }
+}
+
+async function saveBackfill(state) {
+    state.updatedAt = Math.floor(Date.now() / 1000);
+    await DB.setState(`backfill:${state.chatId}`, JSON.stringify(state));
+}
+
+async function listBackfills() {
+    const rows = await DB.listState('backfill:');
+    return rows.map(r => {
+        try { return JSON.parse(r.value); } catch (_) { return null; }
+    }).filter(Boolean);
+}
+
+async function runBackfill(chat, state, transport) {
+    const processMessage = getProcessMessage();
+    runningBackfills.add(state.chatId);
+    console.log(`⏪ Backfill ${state.chatName} jusqu'au ${new Date(state.targetTs * 1000).toLocaleDateString()} (${state.processed} déjà traités)`);
+
+    try {
+        while (true) {
+            const messages = await transport.fetchMessagesBefore(chat, { limit: BATCH_SIZE, before: state.beforeId || undefined });
+            if (!messages || messages.length === 0) break;
+
+            for (const msg of messages) {
+                if (msg.timestamp < state.targetTs) continue;
+                await processMessage(msg, { isCatchUp: true, transport });
+                state.processed++;
+            }
+
+            // Point de reprise : le plus ancien message du lot
+            state.beforeId = messages[0].id._serialized;
+            state.oldestTs = messages[0].timestamp;
+            await saveBackfill(state);
+
+            if (messages[0].timestamp < state.targetTs || messages.length < BATCH_SIZE) break;
+            await new Promise(r => setTimeout(r, BATCH_PAUSE_MS));
+        }
+
+        state.status = 'done';
+        await saveBackfill(state);
+        console.log(`✅ Backfill ${state.chatName} terminé (${state.processed} messages)`);
+    } catch (e) {
+        state.status = 'error';
+        state.error = e.message;
+        await saveBackfill(state);
+        console.error(`❌ Backfill ${state.chatName} erreur:`, e.message);
+    } finally {
+        runningBackfills.delete(state.chatId);
+    }
+}
+
+/**
+ * Démarre (ou reprend) le backfill d'un chat jusqu'à sinceTs
+ */
+async function startBackfill(jid, sinceTs, transport = getActiveTransport()) {
+    if (!transport) throw new Error('Bot WhatsApp inactif');
+    if (runningBackfills.has(jid)) return getBackfill(jid);
+
+    const chats = await transport.getChats();
+    const chat = chats.find(c => chatJid(c) === jid);
+    if (!chat) throw new Error(`Chat ${jid} introuvable`);
+
+    let state = await getBackfill(jid);
+    // Même cible et pas terminé → reprise au dernier point enregistré
+    if (!state || state.status === 'done' || state.targetTs !== sinceTs) {
+        state = {
+            chatId: jid,
+            chatName: chat.name,
+            targetTs: sinceTs,
+            beforeId: null,
+            oldestTs: null,
+            processed: 0,
+            startedAt: Math.floor(Date.now() / 1000)
+        };
+    }
+    state.status = 'running';
+    state.error = null;
+    await saveBackfill(state);
+
+    // En tâche de fond : un échec de sauvegarde dans le catch de runBackfill ne doit pas rester non géré
+    runBackfill(chat, state, transport).catch(e => console.error(`❌ Backfill ${state.chatName} interrompu:`, e.message));
+    return state;
+}
+
+/**
+ * Reprend les backfills interrompus par un redémarrage
+ */
+async function resumeBackfills(transport = getActiveTransport()) {
+    const pending = (await listBackfills()).filter(b => b.status === 'running');
+    for (const b of pending) {
+        try {
+            await startBackfill(b.chatId, b.targetTs, transport);
+        } catch (e) {
+            console.error(`⚠️ Reprise backfill ${b.chatName} impossible:`, e.message);
+        }
+    }
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupBackfillEndpoints(app, requireAdmin) {
+    // POST /api/admin/backfill { chatId, since: '2023-01-01' | timestamp }
+    app.post('/api/admin/backfill', requireAdmin, async (req, res) => {
+        const { chatId, since } = req.body || {};
+        if (!chatId || !since) return res.status(400).json({ error: 'chatId et since requis' });
+
+        const sinceTs = typeof since === 'number' ? since : Math.floor(new Date(since).getTime() / 1000);
+        if (!sinceTs || isNaN(sinceTs)) return res.status(400).json({ error: 'Date since invalide' });
+
+        try {
+            const state = await startBackfill(chatId, sinceTs);
+            res.json({ success: true, backfill: state });
+        } catch (e) {
+            res.status(e.message === 'Bot WhatsApp inactif' ? 503 : 400).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/backfill - Tous les backfills et curseurs
+    app.get('/api/admin/backfill', requireAdmin, async (req, res) => {
+        try {
+            const cursors = (await DB.listState('cursor:')).map(r => ({
+                chatId: r.key.slice('cursor:'.length),
+                ts: parseInt(r.value, 10)
+            }));
+            res.json({ backfills: await listBackfills(), cursors });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/backfill/:chatId - Progression
+    app.get('/api/admin/backfill/:chatId', requireAdmin, async (req, res) => {
+        try {
+            const state = await getBackfill(req.params.chatId);
+            if (!state) return res.status(404).json({ error: 'Aucun backfill pour ce chat' });
+            res.json({ ...state, cursor: await getCursor(req.params.chatId) });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    console.log('✅ Backfill endpoints registered: /api/admin/backfill');
+}
+
+module.exports = {
+    advanceCursor,
+    advanceLiveCursor,
+    resetCaughtUpChats,
+    getCursor,
+    catchUpChat,
+    runSmartCatchUp,
+    startBackfill,
+    resumeBackfills,
+    setupBackfillEndpoints
+};
@@ -8,9 +8,14 @@ db.pragma('foreign_keys = OFF'); // Allow deletions even if dependencies exist (
 
 console.log('🧹 Starting Database Cleanup...');
 
-// 1. Delete Images
-const images = db.prepare("DELETE FROM messages WHERE audio_path LIKE '%.jpg' OR audio_path LIKE '%.jpeg' OR audio_path LIKE '%.png'").run();
-console.log(`🖼️  Removed ${images.changes} image entries.`);
+// 1. Delete Images (sauf celles dont l'OCR a trouvé du texte : captures de réponses / questions)
+const hasOcr = db.prepare("PRAGMA table_info(messages)").all().some(c => c.name === 'ocr_text');
+const images = db.prepare(`
+    DELETE FROM messages
+    WHERE (audio_path LIKE '%.jpg' OR audio_path LIKE '%.jpeg' OR audio_path LIKE '%.png')
+    ${hasOcr ? "AND length(replace(replace(COALESCE(ocr_text, ''), ' ', ''), char(10), '')) < 20" : ''}
+`).run();
+console.log(`🖼️  Removed ${images.changes} image entries without text.`);
 
 // 2. Delete Short/Spam Texts (No Audio)
 // Keywords: merci, mp, message prive, ok, d'accord, salut, bonjour, bonsoir, shavoua tov, amen
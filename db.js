@@ -5,6 +5,27 @@ require('dotenv').config();
 const DB_PATH = process.env.DB_PATH || path.join(__dirname, 'ravqa.db');
 let db = null;
 
+// Index plein texte (contenu externe = table messages) et triggers de synchronisation
+const FTS_SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
+    question_text, transcript_raw, transcript_torah, ocr_text, content='messages', content_rowid='id'
+  );
+  CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
+    INSERT INTO messages_fts(rowid, question_text, transcript_raw, transcript_torah, ocr_text)
+    VALUES (new.id, new.question_text, new.transcript_raw, new.transcript_torah, new.ocr_text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE ON messages BEGIN
+    INSERT INTO messages_fts(messages_fts, rowid, question_text, transcript_raw, transcript_torah, ocr_text)
+    VALUES ('delete', old.id, old.question_text, old.transcript_raw, old.transcript_torah, old.ocr_text);
+    INSERT INTO messages_fts(rowid, question_text, transcript_raw, transcript_torah, ocr_text)
+    VALUES (new.id, new.question_text, new.transcript_raw, new.transcript_torah, new.ocr_text);
+  END;
+  CREATE TRIGGER IF NOT EXISTS messages_ad AFTER DELETE ON messages BEGIN
+    INSERT INTO messages_fts(messages_fts, rowid, question_text, transcript_raw, transcript_torah, ocr_text)
+    VALUES ('delete', old.id, old.question_text, old.transcript_raw, old.transcript_torah, old.ocr_text);
+  END;
+`;
+
 function getDb() {
   if (!db) {
     // Only initialize if DB file exists (handled by bot restoration)
@@ -38,20 +59,30 @@ function getDb() {
       db.run(`ALTER TABLE messages ADD COLUMN sources_json TEXT`, err => { });
       db.run(`ALTER TABLE messages ADD COLUMN coherence_json TEXT`, err => { });
       db.run(`ALTER TABLE messages ADD COLUMN needs_review INTEGER DEFAULT 0`, err => { });
-      db.run(`CREATE VIRTUAL TABLE IF NOT EXISTS messages_fts USING fts5(
-        question_text, transcript_raw, transcript_torah, content='messages', content_rowid='id'
-      )`);
-      // Triggers...
-      db.run(`CREATE TRIGGER IF NOT EXISTS messages_ai AFTER INSERT ON messages BEGIN
-        INSERT INTO messages_fts(rowid, question_text, transcript_raw, transcript_torah)
-        VALUES (new.id, new.question_text, new.transcript_raw, new.transcript_torah);
-      END;`);
-      db.run(`CREATE TRIGGER IF NOT EXISTS messages_au AFTER UPDATE ON messages BEGIN
-        INSERT INTO messages_fts(messages_fts, rowid, question_text, transcript_raw, transcript_torah)
-        VALUES ('delete', old.id, old.question_text, old.transcript_raw, old.transcript_torah);
-        INSERT INTO messages_fts(rowid, question_text, transcript_raw, transcript_torah)
-        VALUES (new.id, new.question_text, new.transcript_raw, new.transcript_torah);
-      END;`);
+      db.run(`ALTER TABLE messages ADD COLUMN deleted_at INTEGER`, err => { });
+      db.run(`ALTER TABLE messages ADD COLUMN media_type TEXT`, err => { });
+      db.run(`ALTER TABLE messages ADD COLUMN ocr_text TEXT`, err => { });
+      // Provenance de transcript_raw (transcription.js) : "openai/whisper-1", "detected:fr", "translated:he"...
+      db.run(`ALTER TABLE messages ADD COLUMN transcript_model TEXT`, err => { });
+      db.run(`ALTER TABLE messages ADD COLUMN transcript_policy TEXT`, err => { });
+      db.exec(FTS_SCHEMA);
+      // Index FTS créé avant ocr_text : reconstruit avec la nouvelle colonne
+      db.all(`PRAGMA table_info(messages_fts)`, (err, cols) => {
+        if (err || !cols || cols.some(c => c.name === 'ocr_text')) return;
+        console.log('🔄 Reconstruction de l\'index FTS (ajout de ocr_text)...');
+        db.exec(`BEGIN;
+          DROP TRIGGER IF EXISTS messages_ai;
+          DROP TRIGGER IF EXISTS messages_au;
+          DROP TRIGGER IF EXISTS messages_ad;
+          DROP TABLE IF EXISTS messages_fts;
+          ${FTS_SCHEMA}
+          INSERT INTO messages_fts(messages_fts) VALUES ('rebuild');
+          COMMIT;`, e => {
+          if (!e) return console.log('✅ Index FTS reconstruit.');
+          console.error('❌ Reconstruction FTS échouée:', e.message);
+          db.run('ROLLBACK', () => { });
+        });
+      });
     });
   }
   return db;
@@ -79,8 +110,8 @@ module.exports = {
   async upsert(msg) {
     const sql = `
       INSERT INTO messages
-        (wa_message_id, group_name, sender_name, sender_jid, ts, audio_path, audio_seconds, question_text, question_message_id, transcript_raw, transcript_torah, replied_to_message_id)
-      VALUES (?,?,?,?,?,?,?,?,?,?,?,?)
+        (wa_message_id, group_name, sender_name, sender_jid, ts, audio_path, audio_seconds, question_text, question_message_id, transcript_raw, transcript_torah, replied_to_message_id, media_type)
+      VALUES (?,?,?,?,?,?,?,?,?,?,?,?,?)
       ON CONFLICT(wa_message_id) DO UPDATE SET
         group_name=excluded.group_name,
         sender_name=excluded.sender_name,
@@ -92,19 +123,27 @@ module.exports = {
         question_message_id=COALESCE(excluded.question_message_id, question_message_id),
         transcript_raw=COALESCE(excluded.transcript_raw, transcript_raw),
         transcript_torah=COALESCE(excluded.transcript_torah, transcript_torah),
-        replied_to_message_id=COALESCE(excluded.replied_to_message_id, replied_to_message_id)
+        replied_to_message_id=COALESCE(excluded.replied_to_message_id, replied_to_message_id),
+        media_type=COALESCE(excluded.media_type, media_type)
     `;
     await run(sql, [
       msg.wa_message_id, msg.group_name, msg.sender_name, msg.sender_jid || null, msg.ts,
       msg.audio_path, msg.audio_seconds, msg.question_text, msg.question_message_id,
-      msg.transcript_raw, msg.transcript_torah, msg.replied_to_message_id || null
+      msg.transcript_raw, msg.transcript_torah, msg.replied_to_message_id || null, msg.media_type || null
     ]);
   },
   findByWA(waId) {
     return get(`SELECT * FROM messages WHERE wa_message_id=?`, [waId]);
   },
-  async updateTranscript(waId, raw, torah) {
-    await run(`UPDATE messages SET transcript_raw=?, transcript_torah=? WHERE wa_message_id=?`, [raw, torah, waId]);
+  findById(id) {
+    return get(`SELECT * FROM messages WHERE id=?`, [id]);
+  },
+  async updateAudioPath(waId, audioPath) {
+    await run(`UPDATE messages SET audio_path=? WHERE wa_message_id=?`, [audioPath, waId]);
+  },
+  async updateTranscript(waId, raw, torah, { model = null, policy = null } = {}) {
+    await run(`UPDATE messages SET transcript_raw=?, transcript_torah=?, transcript_model=?, transcript_policy=? WHERE wa_message_id=?`,
+      [raw, torah, model, policy, waId]);
   },
   async updateProcessedEntry(waId, corrected, torah, needsReview) {
     await run(`
@@ -116,6 +155,9 @@ module.exports = {
   async updateEnrichment(waId, sourcesJson, coherenceJson) {
     await run(`UPDATE messages SET sources_json=?, coherence_json=? WHERE wa_message_id=?`, [sourcesJson, coherenceJson, waId]);
   },
+  async updateOcrText(waId, text) {
+    await run(`UPDATE messages SET ocr_text=? WHERE wa_message_id=?`, [text, waId]);
+  },
   async updateQuestion(waId, qText, qId) {
     await run(`UPDATE messages SET question_text=?, question_message_id=? WHERE wa_message_id=?`, [qText, qId, waId]);
   },
@@ -132,10 +174,10 @@ module.exports = {
     const pattern = `%${q}%`;
     return all(`
       SELECT * FROM messages
-      WHERE (question_text LIKE ? OR transcript_raw LIKE ? OR transcript_torah LIKE ?)
+      WHERE (question_text LIKE ? OR transcript_raw LIKE ? OR transcript_torah LIKE ? OR ocr_text LIKE ?)
       ORDER BY ts DESC
       LIMIT 50
-    `, [pattern, pattern, pattern]);
+    `, [pattern, pattern, pattern, pattern]);
   },
   findRecentQuestionByAuthor(groupName, senderJid, tAudio, thresholdSec) {
     return get(`
@@ -157,6 +199,18 @@ module.exports = {
       ORDER BY ts DESC LIMIT 1
     `, [groupName, tAudio, tAudio, thresholdSec]);
   },
+  stats() {
+    return get(`
+      SELECT
+        COUNT(*) AS total,
+        SUM(CASE WHEN length(transcript_torah) > 50 THEN 1 ELSE 0 END) AS with_answer,
+        SUM(CASE WHEN audio_path IS NOT NULL THEN 1 ELSE 0 END) AS with_audio
+      FROM messages WHERE deleted_at IS NULL
+    `);
+  },
+  lastMessageTs(groupName) {
+    return get(`SELECT MAX(ts) AS last_ts FROM messages WHERE group_name=?`, [groupName]).then(row => row?.last_ts || null);
+  },
   latest(limit) {
     return all(`SELECT * FROM messages ORDER BY ts DESC LIMIT ?`, [limit]);
   },
@@ -166,6 +220,9 @@ module.exports = {
   setState(key, val) {
     return run(`INSERT INTO state(key,value) VALUES(?,?) ON CONFLICT(key) DO UPDATE SET value=excluded.value`, [key, String(val)]);
   },
+  listState(prefix) {
+    return all(`SELECT key, value FROM state WHERE key LIKE ? ORDER BY key`, [`${prefix}%`]);
+  },
   // Accès direct à la DB pour requêtes avancées (RAG, tests)
   getDb() {
     const Database = require('better-sqlite3');
@@ -2,7 +2,16 @@
 require('dotenv').config();
 const Database = require('better-sqlite3');
 const OpenAI = require('openai');
-const client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+const { findResponder } = require('./responders');
+// Client créé au premier appel : le module se charge sans clé (le job échoue alors seul)
+let client = null;
+function getClient() {
+    if (!client) {
+        if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY manquant');
+        client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return client;
+}
 
 const db = new Database(process.env.DB_PATH || 'ravqa.db');
 
@@ -31,7 +40,7 @@ function detectLanguage(text) {
 // Similarité sémantique avec embeddings
 async function getEmbedding(text) {
   try {
-    const response = await client.embeddings.create({
+    const response = await getClient().embeddings.create({
       model: process.env.EMB_MODEL || 'text-embedding-3-small',
       input: text.slice(0, 8000) // Limite de tokens
     });
@@ -109,7 +118,7 @@ function analyzeContext(question, answer, timeGap) {
 // Vérification IA améliorée
 async function verifyWithAI(question, answer) {
   try {
-    const response = await client.chat.completions.create({
+    const response = await getClient().chat.completions.create({
       model: process.env.MODEL_GPT || 'gpt-4o-mini',
       temperature: 0.1,
       messages: [
@@ -165,8 +174,8 @@ async function enhancedMatchAnswerToQuestion({
 
   // 2) Récupération des candidats
   const candidates = db.prepare(`
-    SELECT id, wa_message_id, question_text, ts, sender_name, sender_jid,
-           q_embed, a_embed
+    SELECT id, wa_message_id, COALESCE(NULLIF(ocr_text, ''), question_text) AS question_text,
+           ts, sender_name, sender_jid, q_embed, a_embed
     FROM messages
     WHERE group_name = ? 
       AND question_text IS NOT NULL 
@@ -204,6 +213,8 @@ async function enhancedMatchAnswerToQuestion({
   for (const candidate of candidates) {
     const question = candidate.question_text.trim();
     if (!question) continue;
+    // Les messages des répondants (Rav, assistants) ne sont pas des questions
+    if (findResponder({ jid: candidate.sender_jid, name: candidate.sender_name })) continue;
 
     // Similarité sémantique
     let semanticScore = 0;
@@ -9,6 +9,13 @@ const path = require('path');
 
 const DB_PATH = process.env.DB_PATH || './ravqa.db';
 
+// Poids d'une réaction WhatsApp par rapport à un vote explicite du site (= 1)
+const IMPLICIT_FEEDBACK_WEIGHT = parseFloat(process.env.IMPLICIT_FEEDBACK_WEIGHT) || 0.3;
+
+// Réactions interprétées comme un avis (les autres émojis sont ignorés)
+const POSITIVE_REACTIONS = ['👍', '❤', '♥', '🙏', '👏', '💯', '🔥', '😍', '🥰', '✅'];
+const NEGATIVE_REACTIONS = ['👎'];
+
 // =============================================================================
 // SCHEMA FEEDBACK
 // =============================================================================
@@ -26,17 +33,38 @@ function ensureFeedbackTable(db) {
             rating INTEGER CHECK(rating >= 1 AND rating <= 5),
             comment TEXT,
             user_ip TEXT,
+            source TEXT DEFAULT 'web', -- 'web', 'whatsapp_reaction'
+            voter_jid TEXT,
+            reaction TEXT,
             created_at INTEGER DEFAULT (strftime('%s', 'now')),
             FOREIGN KEY (message_id) REFERENCES messages(id)
         )
     `);
 
+    // Migration des bases existantes
+    const cols = db.prepare("PRAGMA table_info(feedback)").all().map(c => c.name);
+    if (!cols.includes('source')) db.exec("ALTER TABLE feedback ADD COLUMN source TEXT DEFAULT 'web'");
+    if (!cols.includes('voter_jid')) db.exec("ALTER TABLE feedback ADD COLUMN voter_jid TEXT");
+    if (!cols.includes('reaction')) db.exec("ALTER TABLE feedback ADD COLUMN reaction TEXT");
+
     db.exec(`
         CREATE INDEX IF NOT EXISTS idx_feedback_message ON feedback(message_id);
         CREATE INDEX IF NOT EXISTS idx_feedback_created ON feedback(created_at);
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_feedback_voter ON feedback(message_id, source, voter_jid) WHERE voter_jid IS NOT NULL;
     `);
 }
 
+/**
+ * Émoji → avis (true/false), null si la réaction ne porte pas d'avis
+ */
+function reactionToRelevance(emoji) {
+    // Retire variation selector et teintes de peau (👍🏽 → 👍)
+    const base = (emoji || '').replace(/[\uFE0F\u{1F3FB}-\u{1F3FF}]/gu, '');
+    if (POSITIVE_REACTIONS.includes(base)) return true;
+    if (NEGATIVE_REACTIONS.includes(base)) return false;
+    return null;
+}
+
 // =============================================================================
 // CLASSE FEEDBACK MANAGER
 // =============================================================================
@@ -66,33 +94,75 @@ class FeedbackManager {
         return result.lastInsertRowid;
     }
 
+    /**
+     * Enregistre une réaction WhatsApp comme vote implicite (un vote par membre et par message).
+     * Réaction retirée (emoji vide) → vote supprimé ; réaction changée → vote remplacé.
+     * @returns {boolean} true si le feedback a changé
+     */
+    recordReaction({ messageId, query, voterJid, emoji }) {
+        const isRelevant = reactionToRelevance(emoji);
+
+        // Remplacement du vote et mise à jour du score ensemble : pas de vote perdu ni de doublon (idx_feedback_voter)
+        return this.db.transaction(() => {
+            const existing = this.db.prepare(`
+                SELECT id, is_relevant FROM feedback
+                WHERE message_id = ? AND source = 'whatsapp_reaction' AND voter_jid = ?
+            `).get(messageId, voterJid);
+
+            // Retire l'ancien vote du score avant d'appliquer le nouveau
+            if (existing) {
+                this.db.prepare('DELETE FROM feedback WHERE id = ?').run(existing.id);
+                if (existing.is_relevant !== null) {
+                    this.updateMessageRelevance(messageId, existing.is_relevant === 1, -IMPLICIT_FEEDBACK_WEIGHT);
+                }
+            }
+            if (isRelevant === null) return !!existing;
+
+            this.db.prepare(`
+                INSERT INTO feedback (query, message_id, is_relevant, source, voter_jid, reaction)
+                VALUES (?, ?, ?, 'whatsapp_reaction', ?, ?)
+            `).run(query || '', messageId, isRelevant ? 1 : 0, voterJid, emoji);
+            this.updateMessageRelevance(messageId, isRelevant, IMPLICIT_FEEDBACK_WEIGHT);
+            return true;
+        })();
+    }
+
     /**
      * Met à jour le score de pertinence d'un message basé sur les feedbacks
+     * @param {number} weight 1 pour un vote du site, IMPLICIT_FEEDBACK_WEIGHT pour une réaction (négatif = retrait)
      */
-    updateMessageRelevance(messageId, isRelevant) {
+    updateMessageRelevance(messageId, isRelevant, weight = 1) {
         // Ajouter colonne si nécessaire
         const cols = this.db.prepare("PRAGMA table_info(messages)").all();
         if (!cols.some(c => c.name === 'relevance_score')) {
             this.db.exec("ALTER TABLE messages ADD COLUMN relevance_score REAL DEFAULT 0.5");
             this.db.exec("ALTER TABLE messages ADD COLUMN feedback_count INTEGER DEFAULT 0");
         }
+        if (!cols.some(c => c.name === 'feedback_weight')) {
+            this.db.exec("ALTER TABLE messages ADD COLUMN feedback_weight REAL");
+        }
 
         // Calculer nouveau score
         const msg = this.db.prepare(`
-            SELECT relevance_score, feedback_count FROM messages WHERE id = ?
+            SELECT relevance_score, feedback_count, feedback_weight FROM messages WHERE id = ?
         `).get(messageId);
 
         if (msg) {
-            const newCount = (msg.feedback_count || 0) + 1;
-            const currentScore = msg.relevance_score || 0.5;
+            const count = msg.feedback_count || 0;
+            const newCount = Math.max(0, count + Math.sign(weight));
+            const currentScore = msg.relevance_score ?? 0.5;
             const feedbackValue = isRelevant ? 1 : 0;
 
-            // Moyenne pondérée mobile
-            const newScore = (currentScore * (msg.feedback_count || 0) + feedbackValue) / newCount;
+            // Moyenne pondérée mobile (avant migration, chaque avis comptait pour 1)
+            const totalWeight = msg.feedback_weight ?? count;
+            const newWeight = totalWeight + weight;
+            const newScore = newWeight > 0.0001
+                ? Math.min(Math.max((currentScore * totalWeight + feedbackValue * weight) / newWeight, 0), 1)
+                : 0.5;
 
             this.db.prepare(`
-                UPDATE messages SET relevance_score = ?, feedback_count = ? WHERE id = ?
-            `).run(newScore, newCount, messageId);
+                UPDATE messages SET relevance_score = ?, feedback_count = ?, feedback_weight = ? WHERE id = ?
+            `).run(newScore, newCount, Math.max(newWeight, 0), messageId);
         }
     }
 
@@ -108,6 +178,12 @@ class FeedbackManager {
             GROUP BY is_relevant
         `).all();
 
+        const bySource = this.db.prepare(`
+            SELECT COALESCE(source, 'web') as source, COUNT(*) as count
+            FROM feedback
+            GROUP BY COALESCE(source, 'web')
+        `).all();
+
         const avgRating = this.db.prepare(`
             SELECT AVG(rating) as avg FROM feedback WHERE rating IS NOT NULL
         `).get().avg;
@@ -135,6 +211,7 @@ class FeedbackManager {
                 positive: byRelevance.find(r => r.is_relevant === 1)?.count || 0,
                 negative: byRelevance.find(r => r.is_relevant === 0)?.count || 0
             },
+            bySource: Object.fromEntries(bySource.map(r => [r.source, r.count])),
             averageRating: avgRating ? parseFloat(avgRating.toFixed(2)) : null,
             recentFeedback,
             problematicMessages
@@ -148,7 +225,7 @@ class FeedbackManager {
         return this.db.prepare(`
             SELECT query, COUNT(*) as count
             FROM feedback
-            WHERE is_relevant = 0
+            WHERE is_relevant = 0 AND COALESCE(source, 'web') = 'web'
             GROUP BY query
             ORDER BY count DESC
             LIMIT 20
@@ -228,7 +305,9 @@ function setupFeedbackEndpoints(app, invalidateCache) {
 module.exports = {
     FeedbackManager,
     setupFeedbackEndpoints,
-    ensureFeedbackTable
+    ensureFeedbackTable,
+    reactionToRelevance,
+    IMPLICIT_FEEDBACK_WEIGHT
 };
 
 // CLI
@@ -240,6 +319,9 @@ if (require.main === module) {
     console.log(`Total feedbacks: ${stats.total}`);
     console.log(`  👍 Positifs: ${stats.relevance.positive}`);
     console.log(`  👎 Négatifs: ${stats.relevance.negative}`);
+    if (stats.bySource.whatsapp_reaction) {
+        console.log(`  💬 Dont réactions WhatsApp: ${stats.bySource.whatsapp_reaction}`);
+    }
     if (stats.averageRating) {
         console.log(`  ⭐ Note moyenne: ${stats.averageRating}/5`);
     }
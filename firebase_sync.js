@@ -84,7 +84,7 @@ class FirebaseSync {
                 question_author: data.sender_name || '',
                 question_timestamp: this.formatTimestamp(data.ts),
                 answer_text: data.transcript_torah || data.transcript_raw || '',
-                answer_author: data.answer_sender || 'Le Rav',
+                answer_author: data.answer_sender || '',
                 answer_timestamp: this.formatTimestamp(data.ts),
                 audio_filename: data.audio_path ? path.basename(data.audio_path) : null,
                 audio_url: data.audio_firebase_url || null,
@@ -138,7 +138,7 @@ class FirebaseSync {
      * @param {string} messageId - WhatsApp message ID for naming
      * @returns {string|null} Public URL or null on error
      */
-    async uploadAudio(localPath, messageId) {
+    async uploadAudio(localPath, messageId, contentType = 'audio/ogg') {
         if (!this.initialized || !this.bucket) {
             console.log('⏭️  Firebase Storage not available, skipping upload');
             return null;
@@ -152,7 +152,7 @@ class FirebaseSync {
             await this.bucket.upload(localPath, {
                 destination: destination,
                 metadata: {
-                    contentType: 'audio/ogg',
+                    contentType,
                     metadata: {
                         messageId: messageId,
                         uploadedAt: new Date().toISOString()
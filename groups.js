@@ -0,0 +1,250 @@
+/**
+ * Configuration par groupe WhatsApp (table `groups`, clé = JID du chat)
+ * Remplace le filtrage GROUP_1/GROUP_2 par nom affiché (cassé au renommage d'un groupe)
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const { hasSttBackend, listSttBackends } = require('./transcription');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+// Anciennes variables d'env : utilisées uniquement pour initialiser un groupe jamais vu
+const LEGACY_GROUP_NAMES = [process.env.GROUP_1, process.env.GROUP_2].filter(Boolean);
+
+// Colonnes éditables → type (pour validation des PUT admin)
+const EDITABLE_FIELDS = {
+    ingest: 'bool',
+    transcribe: 'bool',
+    language: 'optional',   // null = détection automatique
+    responders: 'list',
+    auto_link: 'bool',
+    auto_suggest: 'bool',
+    suggest_threshold: 'score',
+    stt_backend: 'backend',
+    stt_model: 'optional'
+};
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureGroupsTable(database) {
+    // Migration des tables créées avec language DEFAULT 'fr' : ce défaut forçait le français et
+    // empêchait la détection automatique. Impossible de distinguer un 'fr' choisi d'un 'fr' par défaut :
+    // tous repassent en auto (un admin peut reposer la langue via PUT /api/admin/groups/:jid)
+    database.transaction(() => {
+        const legacy = database.prepare(`SELECT sql FROM sqlite_master WHERE type = 'table' AND name = 'groups'`).get();
+        const migrateLanguage = !!legacy && /language TEXT DEFAULT 'fr'/.test(legacy.sql);
+        if (migrateLanguage) database.exec('ALTER TABLE groups RENAME TO groups_old');
+
+        database.exec(`
+            CREATE TABLE IF NOT EXISTS groups (
+                jid TEXT PRIMARY KEY,
+                name TEXT,
+                ingest INTEGER DEFAULT 0,
+                transcribe INTEGER DEFAULT 1,
+                language TEXT,          -- NULL = détection auto (transcription.js)
+                responders_json TEXT DEFAULT '[]',
+                auto_link INTEGER DEFAULT 1,
+                auto_suggest INTEGER DEFAULT 0,
+                suggest_threshold REAL,
+                stt_backend TEXT,       -- NULL = STT_BACKEND (transcription.js)
+                stt_model TEXT,
+                created_at INTEGER DEFAULT (strftime('%s', 'now')),
+                updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+            )
+        `);
+
+        // Migration des tables créées avant les suggestions automatiques
+        const cols = database.prepare('PRAGMA table_info(groups)').all().map(c => c.name);
+        if (!cols.includes('auto_suggest')) database.exec('ALTER TABLE groups ADD COLUMN auto_suggest INTEGER DEFAULT 0');
+        if (!cols.includes('suggest_threshold')) database.exec('ALTER TABLE groups ADD COLUMN suggest_threshold REAL');
+        if (!cols.includes('stt_backend')) database.exec('ALTER TABLE groups ADD COLUMN stt_backend TEXT');
+        if (!cols.includes('stt_model')) database.exec('ALTER TABLE groups ADD COLUMN stt_model TEXT');
+
+        if (migrateLanguage) {
+            const oldCols = database.prepare('PRAGMA table_info(groups_old)').all().map(c => c.name).filter(c => cols.includes(c));
+            const select = oldCols.map(c => c === 'language' ? `NULLIF(language, 'fr')` : c).join(', ');
+            database.exec(`INSERT INTO groups (${oldCols.join(', ')}) SELECT ${select} FROM groups_old`);
+            database.exec('DROP TABLE groups_old');
+            console.log('🌐 Groupes: langue forcée "fr" retirée (détection automatique)');
+        }
+    })();
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureGroupsTable(db);
+    }
+    return db;
+}
+
+function toConfig(row) {
+    if (!row) return null;
+    let responders = [];
+    try { responders = JSON.parse(row.responders_json || '[]'); } catch (_) { }
+    return {
+        jid: row.jid,
+        name: row.name,
+        ingest: !!row.ingest,
+        transcribe: !!row.transcribe,
+        language: row.language || null,
+        responders,
+        autoLink: !!row.auto_link,
+        autoSuggest: !!row.auto_suggest,
+        suggestThreshold: row.suggest_threshold ?? null,
+        sttBackend: row.stt_backend || null,
+        sttModel: row.stt_model || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// =============================================================================
+// ACCÈS
+// =============================================================================
+
+function getGroup(jid) {
+    return toConfig(getDb().prepare('SELECT * FROM groups WHERE jid = ?').get(jid));
+}
+
+function listGroups() {
+    return getDb().prepare('SELECT * FROM groups ORDER BY name').all().map(toConfig);
+}
+
+/**
+ * Groupe connu portant ce nom (insensible à la casse), pour rattacher un import à l'historique live
+ */
+function findGroupByName(name) {
+    if (!name) return null;
+    return toConfig(getDb().prepare('SELECT * FROM groups WHERE name = ? COLLATE NOCASE ORDER BY ingest DESC LIMIT 1').get(name.trim()));
+}
+
+/**
+ * Retourne la config du groupe d'un chat, en l'enregistrant à la première rencontre.
+ * Un nouveau groupe est ingéré si GROUP_1/GROUP_2 le nomment (ou si aucun n'est défini,
+ * comme l'ancien filtre). Le nom affiché est mis à jour en cas de renommage.
+ */
+function resolveGroup(chat) {
+    const jid = chat.id?._serialized || chat.id;
+    const name = chat.name || jid;
+    const database = getDb();
+
+    const row = database.prepare('SELECT * FROM groups WHERE jid = ?').get(jid);
+    if (!row) {
+        const ingest = LEGACY_GROUP_NAMES.length === 0 || LEGACY_GROUP_NAMES.includes(name);
+        database.prepare('INSERT INTO groups (jid, name, ingest) VALUES (?, ?, ?)').run(jid, name, ingest ? 1 : 0);
+        console.log(`🆕 Groupe enregistré: ${name} (${jid}) - ingestion ${ingest ? 'active' : 'inactive'}`);
+        return getGroup(jid);
+    }
+
+    if (row.name !== name) {
+        database.prepare(`UPDATE groups SET name = ?, updated_at = strftime('%s', 'now') WHERE jid = ?`).run(name, jid);
+        console.log(`✏️ Groupe renommé: ${row.name} → ${name}`);
+        row.name = name;
+    }
+    return toConfig(row);
+}
+
+/**
+ * Modifie les réglages d'un groupe (champs inconnus ignorés)
+ * @throws {Error} si une valeur a un type invalide
+ */
+function updateGroup(jid, patch) {
+    const sets = [];
+    const params = [];
+
+    for (const [field, type] of Object.entries(EDITABLE_FIELDS)) {
+        if (patch[field] === undefined) continue;
+        const value = patch[field];
+
+        if (type === 'bool') {
+            if (typeof value !== 'boolean') throw new Error(`${field} doit être un booléen`);
+            sets.push(`${field} = ?`);
+            params.push(value ? 1 : 0);
+        } else if (type === 'string') {
+            if (typeof value !== 'string' || !value.trim()) throw new Error(`${field} doit être une chaîne non vide`);
+            sets.push(`${field} = ?`);
+            params.push(value.trim());
+        } else if (type === 'score') {
+            if (value !== null && (typeof value !== 'number' || value <= 0 || value > 1)) throw new Error(`${field} doit être un nombre entre 0 et 1 (ou null)`);
+            sets.push(`${field} = ?`);
+            params.push(value);
+        } else if (type === 'backend' || type === 'optional') {
+            if (value !== null && (typeof value !== 'string' || !value.trim())) throw new Error(`${field} doit être une chaîne non vide (ou null)`);
+            if (type === 'backend' && value !== null && !hasSttBackend(value.trim())) {
+                throw new Error(`${field} inconnu (${listSttBackends().map(b => b.name).join(', ')})`);
+            }
+            sets.push(`${field} = ?`);
+            params.push(value === null ? null : value.trim());
+        } else if (type === 'list') {
+            if (!Array.isArray(value) || value.some(v => typeof v !== 'string')) throw new Error(`${field} doit être une liste de JIDs`);
+            sets.push(`${field}_json = ?`);
+            params.push(JSON.stringify(value.map(v => v.trim()).filter(Boolean)));
+        }
+    }
+
+    if (sets.length === 0) return getGroup(jid);
+
+    const info = getDb().prepare(`
+        UPDATE groups SET ${sets.join(', ')}, updated_at = strftime('%s', 'now') WHERE jid = ?
+    `).run(...params, jid);
+    if (info.changes === 0) return null;
+
+    return getGroup(jid);
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupGroupEndpoints(app, requireAdmin) {
+    // GET /api/admin/groups - Liste des groupes connus
+    app.get('/api/admin/groups', requireAdmin, (req, res) => {
+        try {
+            res.json({ groups: listGroups() });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/groups/:jid
+    app.get('/api/admin/groups/:jid', requireAdmin, (req, res) => {
+        try {
+            const group = getGroup(req.params.jid);
+            if (!group) return res.status(404).json({ error: 'Groupe introuvable' });
+            res.json(group);
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // PUT /api/admin/groups/:jid - Modifier les réglages (sans redéploiement)
+    app.put('/api/admin/groups/:jid', requireAdmin, (req, res) => {
+        let group;
+        try {
+            group = updateGroup(req.params.jid, req.body || {});
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!group) return res.status(404).json({ error: 'Groupe introuvable' });
+        console.log(`⚙️ Groupe ${group.name} mis à jour (Admin)`);
+        res.json({ success: true, group });
+    });
+
+    console.log('✅ Group endpoints registered: /api/admin/groups');
+}
+
+module.exports = {
+    ensureGroupsTable,
+    getGroup,
+    listGroups,
+    findGroupByName,
+    resolveGroup,
+    updateGroup,
+    setupGroupEndpoints
+};
@@ -0,0 +1,340 @@
+/**
+ * Lots d'import (un par exécution de importWhatsAppZip)
+ * - Paramètres, statistiques et état de chaque import
+ * - Messages insérés marqués import_batch_id, médias copiés et fusions avec le live enregistrés
+ * - Annulation d'un lot : messages, index FTS (trigger messages_ad), embeddings, fils, jobs du pipeline en attente
+ *   et fichiers
+ *   (les réparations de messages tronqués sont conservées : elles complètent des lignes d'autres lots)
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const Database = require('better-sqlite3');
+const { refreshThreads } = require('./threads');
+const { audioTrackPath } = require('./media_extract');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureImportBatchTables(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS import_batches (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            file_name TEXT,
+            group_name TEXT,
+            options_json TEXT,
+            stats_json TEXT,
+            status TEXT DEFAULT 'running', -- running | completed | failed | rolled_back
+            error TEXT,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            completed_at INTEGER,
+            rolled_back_at INTEGER
+        )
+    `);
+    // Fichiers copiés dans media/ par un lot (un fichier nommé par son contenu peut servir à plusieurs lots)
+    const mediaPk = database.prepare('PRAGMA table_info(import_media)').all().filter(c => c.pk > 0).map(c => c.name);
+    if (mediaPk.length === 1) {
+        // Migration des tables créées avec path comme seule clé
+        database.exec(`
+            ALTER TABLE import_media RENAME TO import_media_old;
+            CREATE TABLE import_media (path TEXT NOT NULL, batch_id INTEGER NOT NULL, message_id INTEGER, PRIMARY KEY (path, batch_id));
+            INSERT INTO import_media SELECT path, batch_id, message_id FROM import_media_old;
+            DROP TABLE import_media_old;
+        `);
+    }
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS import_media (
+            path TEXT NOT NULL,
+            batch_id INTEGER NOT NULL,
+            message_id INTEGER,
+            PRIMARY KEY (path, batch_id)
+        )
+    `);
+    // Messages live complétés par un lot (champs ajoutés, pour les retirer à l'annulation)
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS import_merges (
+            batch_id INTEGER NOT NULL,
+            message_id INTEGER NOT NULL,
+            added_sender_jid INTEGER DEFAULT 0,
+            added_transcript INTEGER DEFAULT 0,
+            PRIMARY KEY (batch_id, message_id)
+        )
+    `);
+
+    const cols = database.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+    if (cols.length > 0 && !cols.includes('import_batch_id')) {
+        database.exec('ALTER TABLE messages ADD COLUMN import_batch_id INTEGER');
+    }
+    if (cols.length > 0) database.exec('CREATE INDEX IF NOT EXISTS idx_messages_import_batch ON messages(import_batch_id)');
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureImportBatchTables(db);
+    }
+    return db;
+}
+
+function toBatch(row) {
+    if (!row) return null;
+    let options = {}, stats = null;
+    try { options = JSON.parse(row.options_json || '{}'); } catch (_) { }
+    try { stats = row.stats_json ? JSON.parse(row.stats_json) : null; } catch (_) { }
+    return {
+        id: row.id,
+        fileName: row.file_name,
+        groupName: row.group_name,
+        options,
+        stats,
+        status: row.status,
+        error: row.error || null,
+        createdAt: row.created_at,
+        completedAt: row.completed_at,
+        rolledBackAt: row.rolled_back_at
+    };
+}
+
+// =============================================================================
+// ENREGISTREMENT (importer)
+// =============================================================================
+
+function createBatch({ fileName, options = {} }) {
+    return Number(getDb().prepare('INSERT INTO import_batches (file_name, options_json) VALUES (?, ?)')
+        .run(fileName || null, JSON.stringify(options)).lastInsertRowid);
+}
+
+function finishBatch(batchId, { status, groupName = null, stats = null, error = null }) {
+    getDb().prepare(`
+        UPDATE import_batches SET status = ?, group_name = COALESCE(?, group_name), stats_json = ?, error = ?,
+               completed_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(status, groupName, stats ? JSON.stringify(stats) : null, error, batchId);
+}
+
+function recordMedia(batchId, messageId, filePath) {
+    getDb().prepare('INSERT OR REPLACE INTO import_media (path, batch_id, message_id) VALUES (?, ?, ?)')
+        .run(filePath, batchId, messageId);
+}
+
+function recordMerge(batchId, messageId, { addedSenderJid = false, addedTranscript = false } = {}) {
+    getDb().prepare(`
+        INSERT OR REPLACE INTO import_merges (batch_id, message_id, added_sender_jid, added_transcript) VALUES (?, ?, ?, ?)
+    `).run(batchId, messageId, addedSenderJid ? 1 : 0, addedTranscript ? 1 : 0);
+}
+
+// =============================================================================
+// LECTURE
+// =============================================================================
+
+function listBatches({ limit = 50 } = {}) {
+    return getDb().prepare('SELECT * FROM import_batches ORDER BY id DESC LIMIT ?').all(limit).map(toBatch);
+}
+
+function getBatch(batchId) {
+    const database = getDb();
+    const batch = toBatch(database.prepare('SELECT * FROM import_batches WHERE id = ?').get(batchId));
+    if (!batch) return null;
+    batch.messages = database.prepare('SELECT COUNT(*) AS n FROM messages WHERE import_batch_id = ?').get(batchId).n;
+    batch.mergedMessages = database.prepare('SELECT COUNT(*) AS n FROM import_merges WHERE batch_id = ?').get(batchId).n;
+    batch.mediaFiles = database.prepare('SELECT COUNT(*) AS n FROM import_media WHERE batch_id = ?').get(batchId).n;
+    batch.transcription = transcriptionProgress(batchId);
+    return batch;
+}
+
+/**
+ * Avancement du traitement en tâche de fond d'un lot, après l'import : transcription (import_transcribe)
+ * puis correction / version Torah / synchronisation (link, torah, sync), OCR et extraction des autres médias.
+ * Les étapes suivantes héritent du payload, donc de importBatchId.
+ * @returns {Object|null} { total, pending, running, done, dead, finished, stages: { <étape>: {...} } }
+ *   ou null si rien n'a été mis en file
+ */
+function transcriptionProgress(batchId) {
+    const database = getDb();
+    if (!database.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'pipeline_jobs'`).get()) return null;
+
+    const rows = database.prepare(`
+        SELECT stage, status, COUNT(*) AS n FROM pipeline_jobs
+        WHERE json_extract(payload, '$.importBatchId') = ?
+        GROUP BY stage, status
+    `).all(Number(batchId));
+    if (rows.length === 0) return null;
+
+    const counts = () => ({ total: 0, pending: 0, running: 0, done: 0, dead: 0 });
+    const progress = { ...counts(), stages: {} };
+    for (const r of rows) {
+        const stage = progress.stages[r.stage] = progress.stages[r.stage] || counts();
+        stage[r.status] = r.n;
+        stage.total += r.n;
+        progress[r.status] += r.n;
+        progress.total += r.n;
+    }
+    // Une étape terminée met la suivante en file dans la même transaction : rien en attente = traitement fini
+    progress.finished = progress.pending === 0 && progress.running === 0;
+    return progress;
+}
+
+// =============================================================================
+// ANNULATION
+// =============================================================================
+
+/**
+ * Annule un lot : supprime ses messages (FTS via trigger), leurs embeddings, jobs, révisions,
+ * feedbacks et suggestions, ses médias, et retire des messages live ce que le lot leur avait ajouté
+ * @throws {Error} si le lot est introuvable, en cours, déjà annulé ou si un de ses jobs tourne
+ */
+function rollbackBatch(batchId) {
+    const database = getDb();
+    const batch = database.prepare('SELECT * FROM import_batches WHERE id = ?').get(batchId);
+    if (!batch) throw new Error('Lot introuvable');
+    if (batch.status === 'running') throw new Error('Import en cours : annulation impossible');
+    if (batch.status === 'rolled_back') throw new Error('Lot déjà annulé');
+
+    const hasTable = (name) => !!database.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+    const hasEmbeddings = hasTable('message_embeddings');
+    const hasJobs = hasTable('pipeline_jobs');
+    // Jobs du lot : ceux de ses messages et ceux des messages live complétés (importBatchId dans le payload)
+    const batchJobs = `(wa_message_id IN (SELECT wa_message_id FROM messages WHERE import_batch_id = ?)
+                        OR json_extract(payload, '$.importBatchId') = ?)`;
+    const files = database.prepare('SELECT path FROM import_media WHERE batch_id = ?').all(batchId).map(r => r.path);
+    const messageCols = database.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+    // thread_id n'existe qu'une fois les fils construits (threads.js)
+    const hasThreads = messageCols.includes('thread_id');
+    // Champs produits par le pipeline à partir d'un audio apporté par le lot (transcription, correction, version Torah)
+    const transcriptCols = ['transcript_raw', 'transcript_raw_edited', 'transcript_torah', 'transcript_model', 'transcript_policy']
+        .filter(c => messageCols.includes(c));
+    const threadIds = hasThreads ? database.prepare(`
+        SELECT DISTINCT thread_id FROM messages WHERE import_batch_id = ? AND thread_id IS NOT NULL
+    `).all(batchId).map(r => r.thread_id) : [];
+
+    const result = database.transaction(() => {
+        // Un job en cours réécrirait ses résultats après l'annulation (transcription, embedding...)
+        const running = hasJobs ? database.prepare(`SELECT COUNT(*) AS n FROM pipeline_jobs WHERE ${batchJobs} AND status = 'running'`)
+            .get(batchId, Number(batchId)).n : 0;
+        if (running) throw new Error(`Traitement en cours (${running} jobs) : annulation impossible, réessayer plus tard`);
+
+        // Messages live complétés : on retire les champs apportés par l'import
+        const merges = database.prepare('SELECT * FROM import_merges WHERE batch_id = ?').all(batchId);
+        for (const m of merges) {
+            database.prepare(`
+                UPDATE messages SET import_hash = NULL,
+                       sender_jid = CASE WHEN ? THEN NULL ELSE sender_jid END,
+                       audio_path = CASE WHEN audio_path IN (SELECT path FROM import_media WHERE batch_id = ?) THEN NULL ELSE audio_path END
+                WHERE id = ?
+            `).run(m.added_sender_jid, batchId, m.message_id);
+
+            if (m.added_transcript) {
+                // FTS mis à jour par le trigger messages_au ; embedding calculé sur l'ancien texte
+                database.prepare(`UPDATE messages SET ${transcriptCols.map(c => `${c} = NULL`).join(', ')} WHERE id = ?`).run(m.message_id);
+                if (hasEmbeddings) database.prepare('DELETE FROM message_embeddings WHERE id = ?').run(m.message_id);
+            }
+        }
+
+        if (hasEmbeddings) {
+            database.prepare('DELETE FROM message_embeddings WHERE id IN (SELECT id FROM messages WHERE import_batch_id = ?)').run(batchId);
+        }
+        // Tous les jobs, terminés compris : un ré-import du même export redonne les mêmes identifiants
+        if (hasJobs) database.prepare(`DELETE FROM pipeline_jobs WHERE ${batchJobs}`).run(batchId, Number(batchId));
+        // Lignes qui pointent vers les messages supprimés
+        if (hasTable('message_revisions')) {
+            database.prepare('DELETE FROM message_revisions WHERE message_id IN (SELECT id FROM messages WHERE import_batch_id = ?)').run(batchId);
+        }
+        if (hasTable('feedback')) {
+            database.prepare('DELETE FROM feedback WHERE message_id IN (SELECT id FROM messages WHERE import_batch_id = ?)').run(batchId);
+        }
+        if (hasTable('reply_suggestions')) {
+            database.prepare(`
+                DELETE FROM reply_suggestions
+                WHERE suggested_message_id IN (SELECT id FROM messages WHERE import_batch_id = ?)
+                   OR question_wa_id IN (SELECT wa_message_id FROM messages WHERE import_batch_id = ?)
+            `).run(batchId, batchId);
+        }
+        const deleted = database.prepare('DELETE FROM messages WHERE import_batch_id = ?').run(batchId).changes;
+
+        database.prepare('DELETE FROM import_merges WHERE batch_id = ?').run(batchId);
+        database.prepare('DELETE FROM import_media WHERE batch_id = ?').run(batchId);
+        database.prepare(`UPDATE import_batches SET status = 'rolled_back', rolled_back_at = strftime('%s', 'now') WHERE id = ?`).run(batchId);
+        return { messages: deleted, merges: merges.length };
+    })();
+
+    if (threadIds.length) refreshThreads(threadIds);
+
+    // Fichiers supprimés après validation, sauf s'ils servent encore (autre lot, message live)
+    let removedFiles = 0;
+    for (const filePath of files) {
+        const stillUsed = database.prepare('SELECT 1 FROM import_media WHERE path = ?').get(filePath) ||
+            database.prepare('SELECT 1 FROM messages WHERE audio_path = ? LIMIT 1').get(filePath);
+        if (stillUsed) continue;
+        try {
+            fs.unlinkSync(filePath);
+            removedFiles++;
+        } catch (e) {
+            if (e.code !== 'ENOENT') console.error(`⚠️ Média non supprimé ${filePath}: ${e.message}`);
+        }
+        fs.rmSync(audioTrackPath(filePath), { force: true });   // piste audio extraite d'une vidéo
+    }
+
+    return { ...result, files: removedFiles, threads: threadIds.length };
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupImportBatchEndpoints(app, requireAdmin) {
+    // GET /api/admin/import/batches
+    app.get('/api/admin/import/batches', requireAdmin, (req, res) => {
+        try {
+            res.json({ batches: listBatches({ limit: Math.min(parseInt(req.query.limit, 10) || 50, 500) }) });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // GET /api/admin/import/batches/:id
+    app.get('/api/admin/import/batches/:id', requireAdmin, (req, res) => {
+        try {
+            const batch = getBatch(req.params.id);
+            if (!batch) return res.status(404).json({ error: 'Lot introuvable' });
+            res.json(batch);
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/import/batches/:id/rollback
+    app.post('/api/admin/import/batches/:id/rollback', requireAdmin, (req, res) => {
+        if (!getDb().prepare('SELECT 1 FROM import_batches WHERE id = ?').get(req.params.id)) {
+            return res.status(404).json({ error: 'Lot introuvable' });
+        }
+        let result;
+        try {
+            result = rollbackBatch(req.params.id);
+        } catch (e) {
+            const conflict = ['Import en cours', 'Lot déjà annulé', 'Traitement en cours'].some(m => e.message.startsWith(m));
+            return res.status(conflict ? 409 : 500).json({ error: e.message });
+        }
+        console.log(`↩️ Import #${req.params.id} annulé: ${result.messages} messages, ${result.merges} fusions, ${result.files} fichiers (Admin)`);
+        res.json({ success: true, ...result });
+    });
+
+    console.log('✅ Import batch endpoints registered: /api/admin/import/batches');
+}
+
+module.exports = {
+    ensureImportBatchTables,
+    createBatch,
+    finishBatch,
+    recordMedia,
+    recordMerge,
+    listBatches,
+    getBatch,
+    transcriptionProgress,
+    rollbackBatch,
+    setupImportBatchEndpoints
+};
@@ -2,294 +2,636 @@
 /**
  * Import WhatsApp Chat Export ZIP - Version 3.0 (Smart Import)
  * - Détection Doublons (MD5 Hash)
- * - Transcription Automatique (OpenAI Whisper)
+ * - Transcription en tâche de fond (pipeline : import_transcribe → link → torah), sans bloquer l'import
  * - Liaison Audio Stricte
+ * - Messages multi-lignes (réimporter un export répare les messages tronqués des imports précédents)
+ * - Lecture en flux de l'archive : seules les pièces jointes citées (audio, images, vidéos, documents)
+ *   sont copiées dans media/, sous un nom dérivé de leur contenu
+ * - Groupe d'après le nom de l'export (ou imposé), expéditeurs rattachés à leur JID via sender_aliases
+ * - Rapprochement avec les messages déjà reçus en live par le bot (fusion au lieu de doublon)
+ * - Chaque import est un lot (import_batches) annulable depuis l'admin
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
-const AdmZip = require('adm-zip');
 const Database = require('better-sqlite3');
 const crypto = require('crypto');
-const OpenAI = require('openai');
+const { createExportParser, validateOverrides, groupNameFromFileName } = require('./whatsapp_export_parser');
+const { openZipArchive } = require('./zip_reader');
+const { getGroup, findGroupByName } = require('./groups');
+const { resolveSender, senderFromHistory, aliasKey } = require('./sender_aliases');
+const { createBatch, finishBatch, recordMedia, recordMerge } = require('./import_batches');
+const { isResponder } = require('./responders');
+const queue = require('./job_queue');
+const { hasSttBackend, listSttBackends } = require('./transcription');
 
 const DB_PATH = process.env.DB_PATH || './ravqa.db';
 const MEDIA_DIR = process.env.MEDIA_DIR || './media';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-let openai = null;
 
-function getOpenAI() {
-    if (!openai && OPENAI_API_KEY) {
-        openai = new OpenAI({ apiKey: OPENAI_API_KEY });
-    }
-    return openai;
+// =============================================================================
+// UTILS
+// =============================================================================
+
+function generateMessageHash(timestamp, sender, content) {
+    return crypto.createHash('md5')
+        .update(`${timestamp}|${sender}|${content}`)
+        .digest('hex');
 }
 
 // =============================================================================
-// PARSERS
+// PIÈCES JOINTES
 // =============================================================================
 
-const LINE_PARSERS = [
-    /^\[(\d{2}\/\d{2}\/\d{4}),\s*(\d{2}:\d{2}:\d{2})\]\s*([^:]+):\s*(.*)$/, // Android
-    /^(\d{2}\/\d{2}\/\d{4}),\s*(\d{2}:\d{2})\s*-\s*([^:]+):\s*(.*)$/,       // iOS
-    /^(\d{2}\/\d{2}\/\d{4})\s+(\d{2}:\d{2}:\d{2}):\s*([^:]+):\s*(.*)$/,      // FR
-    /^‎?(\d{2}\/\d{2}\/\d{4}),?\s*(\d{2}:\d{2}(?::\d{2})?)\s*[-:]?\s*([^:]+):\s*(.*)$/, // Invisible char
-    /^(\d{1,2}\/\d{1,2}\/\d{4}),\s*(\d{1,2}:\d{2}\s*(?:AM|PM)?)\s*-\s*([^:]+):\s*(.*)$/i // US
+const MEDIA_EXTENSIONS = {
+    audio: ['opus', 'ogg', 'mp3', 'm4a', 'wav', 'aac', 'amr'],
+    image: ['jpg', 'jpeg', 'png', 'gif', 'webp', 'heic'],
+    video: ['mp4', 'mov', '3gp', 'avi', 'mkv', 'webm']
+};
+
+// "IMG-20230312-WA0001.jpg (fichier joint)" (Android, le nom peut contenir des espaces),
+// "<attached: 00000012-PHOTO-2023-03-12-14-05-00.jpg>" (iOS)
+const ATTACHMENT_PATTERNS = [
+    /^(.+?\.[a-z0-9]{2,5})(?:\s+•\s+[^()\n]*)?\s+\((?:fichier joint|file attached|archivo adjunto|arquivo anexado|Datei angehängt)\)/im,
+    /<(?:attached|pièce jointe|joint|adjunto|anexado|Anhang)\s*:\s*([^>\n]+)>/i
 ];
 
-function parseWhatsAppLine(line) {
-    line = line.replace(/[\u200E\u200F\u202A-\u202E\uFEFF]/g, '').trim();
-    for (const regex of LINE_PARSERS) {
-        const match = line.match(regex);
-        if (match) {
-            let [, dateStr, timeStr, sender, message] = match;
+// Export "sans médias" : type connu ("image absente", "video omitted") ou non ("<Média omis>")
+const OMITTED_TYPED = /\b(image|photo|audio|vidéo|video|GIF|document|sticker|autocollant)\s+(?:absente?|omise?|omitted)\b/i;
+const OMITTED_GENERIC = /<(?:Média omis|Media omitted|Medien ausgeschlossen|Multimedia omitido|fichier joint)>/i;
+const OMITTED_TYPES = { image: 'image', photo: 'image', sticker: 'image', autocollant: 'image', audio: 'audio', 'vidéo': 'video', video: 'video', gif: 'video', document: 'document' };
 
-            // Date parsing simplifiée pour MVP
-            let day, month, year;
-            if (dateStr.includes('/')) [day, month, year] = dateStr.split('/');
-            else if (dateStr.includes('-')) [day, month, year] = dateStr.split('-');
-            if (year && year.length === 2) year = '20' + year;
+function mediaTypeOfFile(fileName) {
+    const ext = path.extname(fileName).slice(1).toLowerCase();
+    return Object.keys(MEDIA_EXTENSIONS).find(type => MEDIA_EXTENSIONS[type].includes(ext)) || 'document';
+}
 
-            let time = timeStr;
+/**
+ * Pièces jointes de l'archive (tout sauf la discussion), par nom de fichier en minuscules
+ */
+function indexMediaFiles(archive, chatEntry) {
+    const mediaFiles = {};
+    for (const entry of archive.entries) {
+        if (entry === chatEntry) continue;
+        mediaFiles[path.basename(entry.fileName).toLowerCase()] = entry;
+    }
+    return mediaFiles;
+}
 
-            try {
-                // Essai parsing date standard ISO
-                const dt = new Date(year + '-' + month + '-' + day + 'T' + time.replace(',', ''));
-                if (isNaN(dt.getTime())) continue; // Skip invalid dates
+/**
+ * Pièce jointe citée par un message
+ * @returns {Object|null} { fileName, entry (null si absente de l'archive), type, caption }
+ */
+function mediaReference(message, mediaFiles) {
+    for (const regex of ATTACHMENT_PATTERNS) {
+        const m = message.match(regex);
+        if (!m) continue;
+        const fileName = path.basename(m[1].trim());
+        return {
+            fileName,
+            entry: mediaFiles[fileName.toLowerCase()] || null,
+            type: mediaTypeOfFile(fileName),
+            caption: message.replace(m[0], '').trim()
+        };
+    }
 
-                return {
-                    timestamp: Math.floor(dt.getTime() / 1000),
-                    sender: sender.trim(),
-                    message: message.trim()
-                };
-            } catch (e) { continue; }
-        }
+    // Anciens exports : nom de fichier audio seul dans le texte ("PTT-20230312-WA0001.opus")
+    const bare = message.match(/([\w-]+\.(opus|ogg|mp3|m4a|wav|aac|amr))/i);
+    if (bare) {
+        return { fileName: bare[1], entry: mediaFiles[bare[1].toLowerCase()] || null, type: 'audio', caption: '' };
     }
+
+    const typed = message.match(OMITTED_TYPED);
+    if (typed) return { fileName: null, entry: null, type: OMITTED_TYPES[typed[1].toLowerCase()], caption: '' };
+    // Sans précision, un média omis est traité comme une réponse audio (cas le plus fréquent des réponses du Rav)
+    if (OMITTED_GENERIC.test(message)) return { fileName: null, entry: null, type: 'audio', caption: '' };
     return null;
 }
 
-// =============================================================================
-// UTILS
-// =============================================================================
+function hashFile(filePath) {
+    return new Promise((resolve, reject) => {
+        const hash = crypto.createHash('sha256');
+        fs.createReadStream(filePath)
+            .on('data', chunk => hash.update(chunk))
+            .on('end', () => resolve(hash.digest('hex')))
+            .on('error', reject);
+    });
+}
 
-function generateMessageHash(timestamp, sender, content) {
-    return crypto.createHash('md5')
-        .update(`${timestamp}|${sender}|${content}`)
-        .digest('hex');
+/**
+ * Copie une pièce jointe dans media/ sous un nom dérivé de son contenu
+ * (le même fichier présent dans plusieurs exports n'est stocké qu'une fois)
+ */
+async function copyMedia(archive, entry) {
+    const ext = path.extname(entry.fileName).toLowerCase();
+    const temp = path.join(MEDIA_DIR, `import_tmp_${process.pid}_${Date.now()}${ext}`);
+    try {
+        await archive.extractTo(entry, temp);
+        const hash = await hashFile(temp);
+        const dest = path.join(MEDIA_DIR, `import_${hash.substring(0, 32)}${ext}`);
+        if (!fs.existsSync(dest)) fs.renameSync(temp, dest);
+        return dest;
+    } finally {
+        fs.rmSync(temp, { force: true });   // doublon déjà stocké, ou copie interrompue
+    }
 }
 
-function isAudioReference(message) {
-    return /\.(opus|ogg|mp3|m4a|wav|aac)/i.test(message) ||
-        /PTT-\d+/i.test(message) ||
-        /<Média omis>/i.test(message) ||
-        /<fichier joint>/i.test(message);
+/**
+ * Médias importés : même traitement que ceux reçus en live, par le worker du pipeline
+ * (transcription des audios en tâche de fond, OCR des images, extraction des vidéos et des PDF).
+ * force : un lot annulé puis ré-importé redonne les mêmes identifiants, et un message live
+ * complété a pu passer dans le pipeline sans son audio
+ */
+function enqueueImportedMedia(waId, mediaType, payload) {
+    const options = { force: true };
+    if (mediaType === 'audio') return queue.enqueue('import_transcribe', waId, { ...payload, mediaType }, options);
+    if (mediaType === 'image') return queue.enqueue('ocr', waId, { ...payload, mediaType }, options);
+    if (mediaType === 'video' || mediaType === 'document') return queue.enqueue('extract', waId, { ...payload, mediaType }, options);
+    return null;
 }
 
-function extractAudioFilename(message) {
-    const match = message.match(/([\w-]+\.(opus|ogg|mp3|m4a|wav))/i);
-    return match ? match[1] : null;
+// Texte d'un média sans question liée (mêmes libellés que les messages live)
+function placeholderText(media, message) {
+    if (!media) return message;
+    if (media.type === 'audio') return 'Réponse audio';
+    if (media.type === 'image') return `[Photo] ${media.caption || 'Image partagée'}`;
+    const label = media.caption || media.fileName || 'sans nom';
+    return media.type === 'video' ? `[Vidéo] ${label}` : `[Document] ${label}`;
 }
 
-function findAudioFiles(dir) {
-    const audioFiles = {};
-    function walkDir(currentDir) {
-        const entries = fs.readdirSync(currentDir, { withFileTypes: true });
-        for (const entry of entries) {
-            const fullPath = path.join(currentDir, entry.name);
-            if (entry.isDirectory()) walkDir(fullPath);
-            else if (/\.(opus|ogg|mp3|m4a|wav|aac)$/i.test(entry.name)) {
-                audioFiles[entry.name.toLowerCase()] = fullPath;
-            }
-        }
-    }
-    walkDir(dir);
-    return audioFiles;
+// =============================================================================
+// RÉPARATION DES IMPORTS TRONQUÉS
+// =============================================================================
+
+const REPAIR_WINDOW_SEC = 14 * 3600;   // décalage horaire maximal d'un ancien import (heure du serveur)
+const LINKED_QUESTION_WINDOW_SEC = 6 * 3600;
+
+/**
+ * Les imports précédents ne gardaient que la première ligne des messages multi-lignes
+ * (ID = hash de cette première ligne). Réimporter le même export les complète.
+ * @returns {Object|null} ligne importée tronquée correspondant à ce message
+ */
+function findTruncated(db, parsed, groupName) {
+    if (parsed.message === parsed.firstLine) return null;
+
+    const legacyId = generateMessageHash(parsed.timestamp, parsed.sender, parsed.firstLine);
+    return db.prepare('SELECT id, ts, question_text FROM messages WHERE wa_message_id = ?').get(legacyId) ||
+        db.prepare(`
+            SELECT id, ts, question_text FROM messages
+            WHERE group_name IN ('Import WhatsApp', ?) AND sender_name = ? AND question_text = ? AND ABS(ts - ?) <= ?
+            ORDER BY ABS(ts - ?) LIMIT 1
+        `).get(groupName, parsed.sender, parsed.firstLine, parsed.timestamp, REPAIR_WINDOW_SEC, parsed.timestamp) || null;
+}
+
+function repairTruncated(db, row, parsed, waId, groupName) {
+    db.transaction(() => {
+        db.prepare(`
+            UPDATE messages SET wa_message_id = ?, question_text = CASE WHEN question_text = ? THEN ? ELSE question_text END
+            WHERE id = ?
+        `).run(waId, parsed.firstLine, parsed.message, row.id);
+        // Réponses audio liées à la question tronquée
+        db.prepare(`
+            UPDATE messages SET question_text = ?
+            WHERE group_name IN ('Import WhatsApp', ?) AND question_text = ? AND audio_path IS NOT NULL AND ts BETWEEN ? AND ?
+        `).run(parsed.message, groupName, parsed.firstLine, row.ts, row.ts + LINKED_QUESTION_WINDOW_SEC);
+    })();
 }
 
 // =============================================================================
-// TRANSCRIPTION
+// RAPPROCHEMENT AVEC LES MESSAGES LIVE
 // =============================================================================
 
-async function transcribeAudio(audioPath) {
-    const ai = getOpenAI();
-    if (!ai) return null; // Pas de clé API = pas de transcription
+// L'export n'a pas les secondes : un message live est dans [minute, minute + 59s], à l'horloge près
+const LIVE_MATCH_TOLERANCE_SEC = parseInt(process.env.IMPORT_MATCH_TOLERANCE_SEC, 10) || 120;
 
-    try {
-        console.log(`🎙️ Transcription de ${path.basename(audioPath)}...`);
-        const transcription = await ai.audio.transcriptions.create({
-            file: fs.createReadStream(audioPath),
-            model: "whisper-1",
-            language: "fr" // Optimisation pour français
-        });
-        return transcription.text;
-    } catch (e) {
-        console.error(`❌ Erreur transcription: ${e.message}`);
-        return null;
-    }
+/**
+ * import_hash : hash de la ligne d'export fusionnée dans un message live (réimport = doublon)
+ */
+function ensureImportColumns(db) {
+    const cols = db.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+    if (!cols.includes('import_hash')) db.exec('ALTER TABLE messages ADD COLUMN import_hash TEXT');
+    db.exec('CREATE INDEX IF NOT EXISTS idx_messages_import_hash ON messages(import_hash)');
+}
+
+function normalizeText(text) {
+    return (text || '')
+        .replace(/<(Ce message a été modifié|This message was edited)>/gi, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+/**
+ * Message live (ID WhatsApp sérialisé, jamais importé) correspondant à une ligne de l'export :
+ * même groupe, même expéditeur (JID résolu ou nom), même texte (ou même type de média), heure proche
+ * @param {Set} matchedIds lignes déjà fusionnées par cet import (deux lignes identiques ≠ un seul message)
+ * @param {boolean} hasImportHash false : colonne pas encore créée (aperçu), aucune fusion enregistrée
+ */
+function findLiveMatch(db, { groupName, timestamp, sender, resolved, message, mediaType }, matchedIds, hasImportHash = true) {
+    const candidates = db.prepare(`
+        SELECT id, wa_message_id, sender_name, sender_jid, ts, question_text, audio_path, media_type, transcript_raw FROM messages
+        WHERE group_name = ? AND ts BETWEEN ? AND ? AND wa_message_id LIKE '%@%'${hasImportHash ? ' AND import_hash IS NULL' : ''}
+        ORDER BY ABS(ts - ?)
+    `).all(groupName, timestamp - LIVE_MATCH_TOLERANCE_SEC, timestamp + 59 + LIVE_MATCH_TOLERANCE_SEC, timestamp + 30);
+
+    const senderKeys = new Set([aliasKey(sender), aliasKey(resolved.name)]);
+    const text = normalizeText(message);
+    return candidates.find(row => {
+        if (matchedIds.has(row.id)) return false;
+        const sameSender = resolved.jid && row.sender_jid
+            ? row.sender_jid === resolved.jid
+            : senderKeys.has(aliasKey(row.sender_name));
+        if (!sameSender) return false;
+        // Anciennes lignes audio live : audio_path sans media_type
+        if (mediaType) return row.media_type === mediaType || (mediaType === 'audio' && !row.media_type && !!row.audio_path);
+        return !row.media_type && normalizeText(row.question_text) === text;
+    }) || null;
+}
+
+/**
+ * Complète le message live avec ce que l'import apporte (le live reste prioritaire)
+ */
+function mergeIntoLive(db, row, { waId, senderJid, audioPath, batchId, transcriptQueued = false }) {
+    db.prepare(`
+        UPDATE messages SET import_hash = ?, sender_jid = COALESCE(sender_jid, ?), audio_path = COALESCE(audio_path, ?)
+        WHERE id = ?
+    `).run(waId, senderJid, audioPath, row.id);
+
+    // La transcription mise en file part de l'audio du lot : retirée avec lui à l'annulation
+    recordMerge(batchId, row.id, { addedSenderJid: !row.sender_jid && !!senderJid, addedTranscript: transcriptQueued });
+    if (audioPath && !row.audio_path) recordMedia(batchId, row.id, audioPath);
 }
 
 // =============================================================================
 // MAIN IMPORT
 // =============================================================================
 
-async function importWhatsAppZip(zipPath, onProgress = () => { }) {
-    console.log('\n📦 === IMPORT WHATSAPP V3 (SMART) ===\n');
+const DEFAULT_GROUP_NAME = 'Import WhatsApp';
+const PREVIEW_MAX_MISSING = 100;
+const CHECKPOINT_EVERY = 25;   // messages entre deux points de reprise
+
+/**
+ * Options d'import propres à l'archivage (le format est vérifié par validateOverrides)
+ * @throws {Error} si groupName, groupJid ou senderMap sont invalides
+ */
+function validateImportOptions({ groupName, groupJid, senderMap, sttBackend, sttModel } = {}) {
+    if (groupName !== undefined && groupName !== null && (typeof groupName !== 'string' || !groupName.trim())) {
+        throw new Error('groupName doit être une chaîne non vide');
+    }
+    if (groupJid !== undefined && groupJid !== null && (typeof groupJid !== 'string' || !groupJid.endsWith('@g.us'))) {
+        throw new Error('groupJid doit être un JID de groupe (ex: 120363...@g.us)');
+    }
+    if (senderMap !== undefined && senderMap !== null) {
+        if (typeof senderMap !== 'object' || Array.isArray(senderMap) ||
+            Object.values(senderMap).some(v => typeof v !== 'string' || !v.trim())) {
+            throw new Error('senderMap doit associer chaque nom de l\'export à un nom non vide');
+        }
+    }
+    if (sttBackend !== undefined && sttBackend !== null && !hasSttBackend(sttBackend)) {
+        throw new Error(`sttBackend inconnu (${listSttBackends().map(b => b.name).join(', ')})`);
+    }
+    if (sttModel !== undefined && sttModel !== null && (typeof sttModel !== 'string' || !sttModel.trim())) {
+        throw new Error('sttModel doit être une chaîne non vide');
+    }
+}
+
+/**
+ * Groupe des messages importés : groupName, puis groupJid, puis nom de l'export
+ * (fichier .txt de l'archive ou nom du ZIP envoyé), sinon 'Import WhatsApp'.
+ * Un nom connu dans groups reprend l'orthographe du groupe live.
+ * @param {boolean} lookup false : table groups absente (aperçu), aucun groupe connu
+ * @returns {Object} { name, jid, source: 'option'|'jid'|'file'|'default' }
+ */
+function resolveImportGroup(options, chatEntry, lookup = true) {
+    let name = options.groupName ? options.groupName.trim() : null;
+    let source = name ? 'option' : null;
+
+    if (!name && options.groupJid) {
+        const group = lookup ? getGroup(options.groupJid) : null;
+        if (!group || !group.name) throw new Error(`Groupe inconnu: ${options.groupJid}`);
+        name = group.name;
+        source = 'jid';
+    }
+    if (!name) {
+        name = groupNameFromFileName(chatEntry.fileName) || groupNameFromFileName(options.sourceName);
+        source = name ? 'file' : null;
+    }
+    if (!name) return { name: DEFAULT_GROUP_NAME, jid: null, source: 'default' };
+
+    const known = lookup ? findGroupByName(name) : null;
+    return { name: known ? known.name : name, jid: known ? known.jid : (options.groupJid || null), source };
+}
+
+/**
+ * @param {string} zipPath
+ * @param {Function} onProgress
+ * @param {Object} options
+ *   - dateOrder, clock, platform, timezone : surcharge de la détection du format
+ *   - dryRun : analyse seulement (aucune écriture en base ni dans media/)
+ *   - groupName / groupJid : groupe des messages importés (défaut : nom de l'export, sinon 'Import WhatsApp')
+ *   - sourceName : nom d'origine du ZIP envoyé ("WhatsApp Chat - Groupe.zip")
+ *   - senderMap : { "nom dans l'export": "nom archivé" } (prioritaire sur les alias)
+ *   - reprise après redémarrage : batchId (lot déjà créé), startAt (messages déjà traités), resumeStats,
+ *     onCheckpoint({ processed, stats, batchId }) appelé régulièrement pendant l'import
+ */
+async function importWhatsAppZip(zipPath, onProgress = () => { }, options = {}) {
+    console.log(`\n📦 === IMPORT WHATSAPP V3 (SMART)${options.dryRun ? ' - SIMULATION' : ''} ===\n`);
     console.log('Fichier:', zipPath);
 
     if (!fs.existsSync(zipPath)) return { success: false, error: 'Fichier introuvable' };
+    try {
+        validateOverrides(options);
+        validateImportOptions(options);
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
 
-    onProgress({ state: 'extracting', message: 'Extraction du fichier ZIP...' });
+    onProgress({ state: 'extracting', message: 'Lecture du fichier ZIP...' });
+
+    // Dossiers d'extraction laissés par les anciennes versions de l'import
+    for (const name of fs.readdirSync(__dirname)) {
+        if (name.startsWith('temp_import_')) fs.rmSync(path.join(__dirname, name), { recursive: true, force: true });
+    }
 
-    // 1. Extraction
-    let zip, tempDir;
+    // 1. Ouverture (rien n'est extrait sur disque en dehors des médias liés)
+    let archive;
     try {
-        zip = new AdmZip(zipPath);
-        tempDir = path.join(__dirname, 'temp_import_' + Date.now());
-        zip.extractAllTo(tempDir, true);
+        archive = await openZipArchive(zipPath);
     } catch (e) {
         return { success: false, error: 'ZIP invalide: ' + e.message };
     }
 
-    // 2. Scan fichiers
-    onProgress({ state: 'scanning', message: 'Analyse des fichiers multimédias...' });
-    const audioFiles = findAudioFiles(tempDir);
-
-    // Trouver chat.txt
-    let chatFile = null;
-    function findChat(dir) {
-        const entries = fs.readdirSync(dir, { withFileTypes: true });
-        for (const entry of entries) {
-            if (entry.isDirectory()) {
-                const found = findChat(path.join(dir, entry.name));
-                if (found) return found;
-            } else if (entry.name.endsWith('.txt') && !entry.name.startsWith('.')) {
-                return path.join(dir, entry.name);
-            }
+    // Lot d'import : paramètres et statistiques, messages et médias marqués pour l'annulation
+    const batchId = options.dryRun ? null : options.batchId || createBatch({
+        fileName: options.sourceName || path.basename(zipPath),
+        options: {
+            dateOrder: options.dateOrder, clock: options.clock, platform: options.platform, timezone: options.timezone,
+            groupName: options.groupName, groupJid: options.groupJid, senderMap: options.senderMap
         }
-        return null;
-    }
-    chatFile = findChat(tempDir);
+    });
 
-    if (!chatFile) {
-        fs.rmSync(tempDir, { recursive: true });
-        return { success: false, error: 'Aucun fichier .txt trouvé' };
+    const db = new Database(DB_PATH);
+    try {
+        const result = await importFromArchive(archive, db, onProgress, { ...options, batchId });
+        if (batchId) {
+            const { imported, skipped_dup, repaired, merged, audio_linked, audio_missing, media_linked, media_missing, transcription_queued, errors, dateRange } = result;
+            finishBatch(batchId, {
+                status: result.success ? 'completed' : 'failed',
+                groupName: result.groupName,
+                stats: result.success ? {
+                    imported, skipped_dup, repaired, merged, audio_linked, audio_missing, media_linked, media_missing, transcription_queued, errors, dateRange
+                } : null,
+                error: result.error
+            });
+        }
+        return batchId ? { ...result, batchId } : result;
+    } catch (e) {
+        if (batchId) finishBatch(batchId, { status: 'failed', error: e.message });
+        throw e;
+    } finally {
+        db.close();
+        archive.close();
     }
+}
+
+async function importFromArchive(archive, db, onProgress, options) {
+    // 2. Trouver chat.txt, puis scan des pièces jointes
+    const chatEntry = archive.findChat();
+    if (!chatEntry) return { success: false, error: 'Aucun fichier .txt trouvé' };
+
+    onProgress({ state: 'scanning', message: 'Analyse des fichiers multimédias...' });
+    const mediaFiles = indexMediaFiles(archive, chatEntry);
 
     // 3. Parsing
     onProgress({ state: 'parsing', message: 'Lecture de la conversation...' });
-    const content = fs.readFileSync(chatFile, 'utf-8');
+    const content = await archive.readText(chatEntry);
     const lines = content.split('\n');
-    const db = new Database(DB_PATH);
+    const parser = createExportParser(lines, options);
+    const { format } = parser;
+    console.log(`🗓️ Format: ${format.platform || 'inconnu'}, ${format.dateOrder}, ${format.clock}, ${format.timezone}${format.detected ? ' (détecté)' : ''}`);
 
-    let stats = { imported: 0, skipped_dup: 0, audio_linked: 0, transcribed: 0, errors: 0 };
-    let currentQuestion = null;
+    const dryRun = !!options.dryRun;
+    // Simulation : aucune écriture, pas même les tables de configuration créées au premier accès
+    const hasTable = (name) => !!db.prepare(`SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = ?`).get(name);
+    const canLookup = (table) => !dryRun || hasTable(table);
 
-    if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
+    let group;
+    try {
+        group = resolveImportGroup(options, chatEntry, canLookup('groups'));
+    } catch (e) {
+        return { success: false, error: e.message };
+    }
+    const groupName = group.name;
+    console.log(`👥 Groupe: ${groupName} (${group.source})`);
+    // Config du groupe : seulement pour les jobs du pipeline, que la simulation ne crée pas
+    const groupConfig = group.jid && !dryRun ? getGroup(group.jid) : null;
+
+    const messages = parser.parseMessages();
+    const senderMap = options.senderMap || {};
+
+    // Expéditeurs : nom forcé (senderMap) ou alias / historique live → JID
+    const resolvedSenders = new Map();
+    const senderOf = (name) => {
+        if (!resolvedSenders.has(name)) {
+            const known = canLookup('sender_aliases') ? resolveSender(name, groupName) : senderFromHistory(db, name, groupName);
+            resolvedSenders.set(name, {
+                name: senderMap[name] || (known && known.displayName) || name,
+                jid: (known && known.senderJid) || null,
+                source: senderMap[name] ? 'map' : (known ? known.source : null)
+            });
+        }
+        return resolvedSenders.get(name);
+    };
+    let stats = { imported: 0, skipped_dup: 0, repaired: 0, merged: 0, audio_linked: 0, audio_missing: 0, media_linked: 0, media_missing: 0, transcription_queued: 0, errors: 0 };
+    const startAt = options.startAt || 0;
+    if (startAt > 0) {
+        stats = { ...stats, ...(options.resumeStats || {}) };
+        console.log(`⏩ Reprise de l'import après ${startAt} messages`);
+    }
+    let currentQuestion = null;
 
-    // Préparer statements
-    const checkStmt = db.prepare('SELECT id FROM messages WHERE wa_message_id = ?');
-    const insertStmt = db.prepare(`
-        INSERT INTO messages (wa_message_id, group_name, sender_name, ts, question_text, audio_path, transcript_raw)
-        VALUES (@id, @group, @sender, @ts, @question, @audio, @transcript)
+    // Aperçu : période, expéditeurs, pièces jointes citées mais absentes de l'archive
+    const senders = new Map();
+    const missingFiles = new Set();
+    let firstTs = null, lastTs = null;
+    // Simulation : lignes qui auraient été écrites (une ligne répétée dans l'export est un doublon)
+    const previewIds = new Set();
+
+    if (!dryRun && !fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR, { recursive: true });
+
+    // Préparer statements (la simulation ne migre pas la table)
+    if (!dryRun) ensureImportColumns(db);
+    const hasImportHash = db.prepare('PRAGMA table_info(messages)').all().some(c => c.name === 'import_hash');
+    const checkStmt = hasImportHash
+        ? db.prepare('SELECT id FROM messages WHERE wa_message_id = ? OR import_hash = ?')
+        : db.prepare('SELECT id FROM messages WHERE wa_message_id = ? OR ? IS NULL');
+    const matchedIds = new Set();
+    // import_batch_id n'existe qu'une fois le premier lot créé (la simulation n'en crée pas)
+    const insertStmt = dryRun ? null : db.prepare(`
+        INSERT INTO messages (wa_message_id, group_name, sender_name, sender_jid, ts, question_text, audio_path, transcript_raw, media_type, import_batch_id)
+        VALUES (@id, @group, @sender, @senderJid, @ts, @question, @audio, @transcript, @mediaType, @batchId)
     `);
 
     onProgress({
         state: 'processing',
         message: 'Import des messages...',
-        total: lines.length,
+        total: messages.length,
         processed: 0
     });
 
-    // Traitement séquentiel pour transcription
+    // Traitement séquentiel (les transcriptions sont mises en file, pas attendues)
     let processedCount = 0;
-
-    for (const line of lines) {
+    let lastCheckpoint = startAt;
+    const checkpoint = () => {
+        if (!options.onCheckpoint) return;
+        options.onCheckpoint({ processed: processedCount, stats: { ...stats }, batchId: options.batchId || null });
+        lastCheckpoint = processedCount;
+    };
+
+    if (!startAt) checkpoint();   // enregistre le lot dès le départ
+
+    for (const parsed of messages) {
+        // Les processedCount premiers messages sont en base : point de reprise régulier
+        if (processedCount - lastCheckpoint >= CHECKPOINT_EVERY) checkpoint();
         processedCount++;
         // Mise à jour progression tous les 50 messages
         if (processedCount % 50 === 0) {
             onProgress({
                 state: 'processing',
-                message: `Traitement ligne ${processedCount}/${lines.length}...`,
-                total: lines.length,
+                message: `Traitement message ${processedCount}/${messages.length}...`,
+                total: messages.length,
                 processed: processedCount,
                 stats
             });
         }
 
-        const parsed = parseWhatsAppLine(line);
-        if (!parsed) continue;
-
         const { timestamp, sender, message } = parsed;
 
         // Skip systems
         if (sender.includes('ajouté') || sender.toLowerCase().includes('system') || message.includes('chiffrement')) continue;
 
-        // Générer ID Unique (Deduplication)
+        senders.set(sender, (senders.get(sender) || 0) + 1);
+        if (firstTs === null || timestamp < firstTs) firstTs = timestamp;
+        if (lastTs === null || timestamp > lastTs) lastTs = timestamp;
+
+        // Déjà traité avant l'interruption : seul le contexte (question en cours) est reconstitué
+        if (processedCount <= startAt) {
+            const media = mediaReference(message, mediaFiles);
+            if (media && media.type !== 'image') currentQuestion = null;
+            else if (!media && message.length > 5) currentQuestion = message;
+            continue;
+        }
+
+        // Générer ID Unique (Deduplication) sur le texte complet
         const waId = generateMessageHash(timestamp, sender, message);
 
         // Check doublon
-        const existing = checkStmt.get(waId);
-        if (existing) {
+        const existing = checkStmt.get(waId, waId);
+        if (existing || previewIds.has(waId)) {
             stats.skipped_dup++;
             continue;
         }
+        if (dryRun) previewIds.add(waId);
 
-        let audioPath = null;
-        let transcript = null;
-        let isAudio = isAudioReference(message);
-
-        // Traitement Audio
-        if (isAudio) {
-            const filename = extractAudioFilename(message);
-            if (filename && audioFiles[filename.toLowerCase()]) {
-                const source = audioFiles[filename.toLowerCase()];
-                const destName = `import_${waId}_${filename}`; // ID unique dans nom fichier
-                const dest = path.join(MEDIA_DIR, destName);
-
-                fs.copyFileSync(source, dest);
-                audioPath = dest;
-                stats.audio_linked++;
-
-                // Transcription Whisper !
-                if (OPENAI_API_KEY) {
-                    onProgress({
-                        state: 'transcribing',
-                        message: `Transcription audio (${stats.transcribed + 1})...`,
-                        total: lines.length,
-                        processed: processedCount,
-                        stats
-                    });
-
-                    transcript = await transcribeAudio(dest);
-                    if (transcript) stats.transcribed++;
+        // Déjà importé tronqué à sa première ligne : réparé au lieu d'être dupliqué
+        const truncated = findTruncated(db, parsed, groupName);
+        if (truncated) {
+            if (!dryRun) repairTruncated(db, truncated, parsed, waId, groupName);
+            stats.repaired++;
+            continue;
+        }
+
+        let mediaPath = null;
+        const media = mediaReference(message, mediaFiles);
+        const isAudio = !!media && media.type === 'audio';
+        const resolved = senderOf(sender);
+
+        // Déjà reçu en live par le bot : fusion (le fichier n'est copié que s'il manque au message live)
+        const live = findLiveMatch(db, { groupName, timestamp, sender, resolved, message, mediaType: media && media.type }, matchedIds, hasImportHash);
+        if (live) matchedIds.add(live.id);
+
+        // Traitement des pièces jointes
+        if (media && !(live && live.audio_path)) {
+            if (media.entry && dryRun) {
+                stats[isAudio ? 'audio_linked' : 'media_linked']++;
+            } else if (media.entry) {
+                try {
+                    mediaPath = await copyMedia(archive, media.entry);
+                    stats[isAudio ? 'audio_linked' : 'media_linked']++;
+                } catch (e) {
+                    console.error(`❌ Média ${media.fileName} illisible dans l'archive: ${e.message}`);
+                    stats.errors++;
                 }
+
             } else {
-                // Audio introuvable -> on stocke quand même le message textuel placeholder
+                // Fichier introuvable -> on stocke quand même le message textuel placeholder
+                stats[isAudio ? 'audio_missing' : 'media_missing']++;
+                if (media.fileName) missingFiles.add(media.fileName);
             }
         }
 
-        // Déterminer question contextuelle (si c'est une réponse audio)
+        // Déterminer question contextuelle (audio, vidéo ou document en réponse à la question précédente)
         let questionText = null;
-        if (isAudio && currentQuestion) {
+        const isAnswerMedia = !!media && media.type !== 'image';
+        if (isAnswerMedia && currentQuestion) {
             questionText = currentQuestion; // Lie à la question précédente
             currentQuestion = null; // Reset
-        } else if (!isAudio && message.length > 5) {
+        } else if (!media && message.length > 5) {
             currentQuestion = message; // Devient la question potentielle pour le prochain audio
             questionText = message; // C'est aussi une question en soi (ou un message texte)
         }
 
+        // Worker du pipeline : même traitement que le live, lot d'import pour le suivi
+        // (pas en simulation : isResponder crée et initialise la table responders au premier accès)
+        const pipelinePayload = dryRun ? null : {
+            groupJid: group.jid,
+            senderName: resolved.name,
+            isResponder: isResponder({ jid: resolved.jid, name: resolved.name }, groupConfig),
+            isCatchUp: true,
+            importBatchId: options.batchId || null,
+            // Moteur de transcription imposé pour cet import (sinon celui du groupe)
+            sttBackend: options.sttBackend || undefined,
+            sttModel: options.sttModel || undefined
+        };
+
+        if (live) {
+            if (!dryRun) {
+                // Audio que le bot n'avait pas pu télécharger : transcrit depuis la copie de l'export
+                const transcriptQueued = !!mediaPath && isAudio && !live.transcript_raw;
+                mergeIntoLive(db, live, { waId, senderJid: resolved.jid, audioPath: mediaPath, batchId: options.batchId, transcriptQueued });
+                if (transcriptQueued) {
+                    enqueueImportedMedia(live.wa_message_id, 'audio', pipelinePayload);
+                    stats.transcription_queued++;
+                }
+            }
+            stats.merged++;
+            continue;
+        }
+
+        if (dryRun) {
+            stats.imported++;
+            continue;
+        }
+
         // Insertion
         try {
-            insertStmt.run({
+            const info = insertStmt.run({
                 id: waId,
-                group: 'Import WhatsApp',
-                sender: sender,
+                group: groupName,
+                sender: resolved.name,
+                senderJid: resolved.jid,
                 ts: timestamp,
-                question: questionText || (isAudio ? 'Réponse audio' : message),
-                audio: audioPath,
-                transcript: transcript
+                question: questionText || placeholderText(media, message),
+                audio: mediaPath,
+                transcript: null,
+                mediaType: media ? media.type : null,
+                batchId: options.batchId
             });
+            if (mediaPath) {
+                recordMedia(options.batchId, Number(info.lastInsertRowid), mediaPath);
+                enqueueImportedMedia(waId, media.type, pipelinePayload);
+                if (isAudio) stats.transcription_queued++;
+            }
             stats.imported++;
         } catch (e) {
             console.error('Insert Error:', e.message);
@@ -297,17 +639,51 @@ async function importWhatsAppZip(zipPath, onProgress = () => { }) {
         }
     }
 
-    db.close();
-    fs.rmSync(tempDir, { recursive: true });
-
-    return { success: true, ...stats };
+    return {
+        success: true,
+        dryRun,
+        format,
+        groupName,
+        groupJid: group.jid,
+        groupSource: group.source,
+        ...stats,
+        dateRange: { from: firstTs, to: lastTs },
+        senders: [...senders.entries()]
+            .map(([name, count]) => {
+                const resolved = senderOf(name);
+                return {
+                    name,
+                    messages: count,
+                    mappedTo: resolved.name !== name ? resolved.name : null,
+                    senderJid: resolved.jid,
+                    source: resolved.source
+                };
+            })
+            .sort((a, b) => b.messages - a.messages),
+        missingFiles: [...missingFiles].slice(0, PREVIEW_MAX_MISSING)
+    };
 }
 
 // CLI Support
 if (require.main === module) {
     const zip = process.argv[2];
-    if (zip) importWhatsAppZip(zip).then(console.log).catch(console.error);
-    else console.log('Usage: node import_chat_zip.js <file.zip>');
+    const arg = (name) => {
+        const i = process.argv.indexOf(name);
+        return i > 0 ? process.argv[i + 1] : undefined;
+    };
+    const options = {
+        dateOrder: arg('--date-order'),
+        clock: arg('--clock'),
+        timezone: arg('--timezone'),
+        groupName: arg('--group'),
+        groupJid: arg('--group-jid'),
+        sttBackend: arg('--stt-backend'),
+        sttModel: arg('--stt-model'),
+        sourceName: zip && path.basename(zip),
+        dryRun: process.argv.includes('--dry-run')
+    };
+    if (zip) importWhatsAppZip(zip, undefined, options).then(console.log).catch(console.error);
+    else console.log('Usage: node import_chat_zip.js <file.zip> [--dry-run] [--group "Nom" | --group-jid 120363...@g.us] [--stt-backend openai|local|fake] [--stt-model base] [--date-order DMY|MDY|YMD] [--clock 24h|12h] [--timezone Asia/Jerusalem]');
 }
 
-module.exports = { importWhatsAppZip };
+module.exports = { importWhatsAppZip, validateImportOptions };
@@ -0,0 +1,134 @@
+/**
+ * Jobs d'import persistants (SQLite)
+ * - Fichier envoyé, options et point de reprise (dernier message traité + statistiques)
+ * - Au démarrage, les imports interrompus (crash, redéploiement) reprennent depuis leur point de reprise
+ * - Redis garde la progression en temps réel ; cette table survit aux redémarrages
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureImportJobsTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS import_jobs (
+            id TEXT PRIMARY KEY,
+            file_path TEXT NOT NULL,
+            original_name TEXT,
+            options_json TEXT,
+            status TEXT DEFAULT 'processing', -- processing | completed | error
+            batch_id INTEGER,
+            checkpoint INTEGER DEFAULT 0,     -- nombre de messages de l'export déjà traités
+            checkpoint_stats_json TEXT,
+            result_json TEXT,
+            error TEXT,
+            resume_count INTEGER DEFAULT 0,
+            resumed_at INTEGER,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+    `);
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureImportJobsTable(db);
+    }
+    return db;
+}
+
+function toJob(row) {
+    if (!row) return null;
+    const parse = (json, fallback) => {
+        try { return json ? JSON.parse(json) : fallback; } catch (_) { return fallback; }
+    };
+    return {
+        id: row.id,
+        filePath: row.file_path,
+        originalName: row.original_name,
+        options: parse(row.options_json, {}),
+        status: row.status,
+        batchId: row.batch_id,
+        checkpoint: row.checkpoint,
+        checkpointStats: parse(row.checkpoint_stats_json, null),
+        result: parse(row.result_json, null),
+        error: row.error,
+        resumeCount: row.resume_count,
+        resumedAt: row.resumed_at,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// =============================================================================
+// ACCÈS
+// =============================================================================
+
+function createImportJob({ id, filePath, originalName, options = {} }) {
+    getDb().prepare('INSERT INTO import_jobs (id, file_path, original_name, options_json) VALUES (?, ?, ?, ?)')
+        .run(id, filePath, originalName || null, JSON.stringify(options));
+    return getImportJob(id);
+}
+
+function getImportJob(id) {
+    return toJob(getDb().prepare('SELECT * FROM import_jobs WHERE id = ?').get(id));
+}
+
+/**
+ * Point de reprise : les `processed` premiers messages sont en base
+ */
+function saveCheckpoint(id, { processed, stats, batchId }) {
+    getDb().prepare(`
+        UPDATE import_jobs SET checkpoint = ?, checkpoint_stats_json = ?, batch_id = COALESCE(?, batch_id),
+               updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(processed, JSON.stringify(stats), batchId || null, id);
+}
+
+function finishImportJob(id, { status, result = null, error = null }) {
+    getDb().prepare(`
+        UPDATE import_jobs SET status = ?, result_json = ?, error = ?, updated_at = strftime('%s', 'now') WHERE id = ?
+    `).run(status, result ? JSON.stringify(result) : null, error, id);
+}
+
+function markResumed(id) {
+    getDb().prepare(`
+        UPDATE import_jobs SET resume_count = resume_count + 1, resumed_at = strftime('%s', 'now'),
+               updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(id);
+    return getImportJob(id);
+}
+
+/**
+ * Imports interrompus (le processus s'est arrêté avant la fin)
+ */
+function listUnfinishedImportJobs() {
+    return getDb().prepare(`SELECT * FROM import_jobs WHERE status = 'processing' ORDER BY created_at`).all().map(toJob);
+}
+
+/**
+ * Fichiers encore nécessaires à un import (à ne pas supprimer pendant le nettoyage de uploads/)
+ */
+function activeImportFiles() {
+    return new Set(getDb().prepare(`SELECT file_path FROM import_jobs WHERE status = 'processing'`).all().map(r => r.file_path));
+}
+
+module.exports = {
+    ensureImportJobsTable,
+    createImportJob,
+    getImportJob,
+    saveCheckpoint,
+    finishImportJob,
+    markResumed,
+    listUnfinishedImportJobs,
+    activeImportFiles
+};
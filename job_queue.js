@@ -0,0 +1,290 @@
+/**
+ * File de jobs persistante (SQLite) pour le pipeline d'ingestion
+ * - Un job = une étape pour un message (download, transcribe, link, torah, sync...)
+ * - Retries avec backoff exponentiel, puis état "dead" (dead-letter)
+ * - Les jobs "running" d'un process arrêté sont remis en file au démarrage du worker
+ * - Étapes de fond (imports) : servies après les autres, nombre de jobs simultanés borné
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5;
+const BACKOFF_BASE_SEC = 30;          // 30s, 60s, 120s, ...
+const BACKOFF_MAX_SEC = 3600;         // plafonné à 1h
+const POLL_INTERVAL_MS = 2000;
+
+const handlers = new Map();   // stage → { fn, isAvailable, background, maxConcurrent }
+let db = null;
+let timer = null;
+let running = 0;
+const runningByStage = new Map();
+let concurrency = 1;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureJobsTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS pipeline_jobs (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            wa_message_id TEXT,
+            stage TEXT NOT NULL,
+            status TEXT DEFAULT 'pending', -- 'pending', 'running', 'done', 'dead'
+            attempts INTEGER DEFAULT 0,
+            max_attempts INTEGER DEFAULT ${DEFAULT_MAX_ATTEMPTS},
+            payload TEXT,
+            last_error TEXT,
+            next_run_at INTEGER DEFAULT (strftime('%s', 'now')),
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+    `);
+    database.exec(`
+        CREATE INDEX IF NOT EXISTS idx_jobs_status_next ON pipeline_jobs(status, next_run_at);
+        CREATE INDEX IF NOT EXISTS idx_jobs_message ON pipeline_jobs(wa_message_id, stage);
+    `);
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        db.pragma('journal_mode = WAL');
+        ensureJobsTable(db);
+    }
+    return db;
+}
+
+function nowSec() {
+    return Math.floor(Date.now() / 1000);
+}
+
+function backoffSec(attempts) {
+    return Math.min(BACKOFF_BASE_SEC * Math.pow(2, Math.max(0, attempts - 1)), BACKOFF_MAX_SEC);
+}
+
+function toJob(row) {
+    if (!row) return null;
+    let payload = {};
+    try { payload = JSON.parse(row.payload || '{}'); } catch (_) { }
+    return { ...row, payload };
+}
+
+// =============================================================================
+// FILE
+// =============================================================================
+
+/**
+ * Ajoute un job (ignoré si la même étape existe déjà pour ce message et n'est pas morte)
+ * force : relance une étape déjà terminée (ré-import après annulation, audio ajouté à un message live),
+ *         seul un job en attente ou en cours est alors réutilisé
+ * @returns {number} id du job (existant ou créé)
+ */
+function enqueue(stage, waMessageId, payload = {}, { delaySec = 0, maxAttempts = DEFAULT_MAX_ATTEMPTS, force = false } = {}) {
+    const database = getDb();
+    if (waMessageId) {
+        const existing = database.prepare(`
+            SELECT id FROM pipeline_jobs
+            WHERE wa_message_id = ? AND stage = ?
+              AND status IN (${force ? "'pending', 'running'" : "'pending', 'running', 'done'"})
+        `).get(waMessageId, stage);
+        if (existing) return existing.id;
+    }
+
+    const info = database.prepare(`
+        INSERT INTO pipeline_jobs (wa_message_id, stage, payload, max_attempts, next_run_at)
+        VALUES (?, ?, ?, ?, ?)
+    `).run(waMessageId || null, stage, JSON.stringify(payload), maxAttempts, nowSec() + delaySec);
+    return info.lastInsertRowid;
+}
+
+/**
+ * Déclare le handler d'une étape.
+ * fn(job) peut retourner { next: [{ stage, payload }] } pour chaîner les étapes suivantes.
+ * isAvailable() permet de laisser des jobs en attente (ex: téléchargement sans transport WhatsApp).
+ * background : étape servie seulement quand les autres n'ont rien en attente, limitée à maxConcurrent jobs.
+ */
+function registerHandler(stage, fn, { isAvailable = () => true, background = false, maxConcurrent = Infinity } = {}) {
+    handlers.set(stage, { fn, isAvailable, background, maxConcurrent });
+}
+
+function claimNext() {
+    const stages = [...handlers.entries()]
+        .filter(([s, h]) => h.isAvailable() && (runningByStage.get(s) || 0) < h.maxConcurrent)
+        .map(([s]) => s);
+    if (stages.length === 0) return null;
+    const background = stages.filter(s => handlers.get(s).background);
+
+    const database = getDb();
+    const row = database.prepare(`
+        SELECT * FROM pipeline_jobs
+        WHERE status = 'pending' AND next_run_at <= ?
+          AND stage IN (${stages.map(() => '?').join(',')})
+        ORDER BY stage IN (${background.map(() => '?').join(',')}), next_run_at, id
+        LIMIT 1
+    `).get(nowSec(), ...stages, ...background);
+    if (!row) return null;
+
+    const claimed = database.prepare(`
+        UPDATE pipeline_jobs SET status = 'running', attempts = attempts + 1, updated_at = ?
+        WHERE id = ? AND status = 'pending'
+    `).run(nowSec(), row.id);
+    if (claimed.changes === 0) return null;
+
+    return toJob({ ...row, status: 'running', attempts: row.attempts + 1 });
+}
+
+function completeJob(job, result) {
+    const database = getDb();
+    const next = (result && result.next) || [];
+    database.transaction(() => {
+        database.prepare(`
+            UPDATE pipeline_jobs SET status = 'done', last_error = NULL, updated_at = ? WHERE id = ?
+        `).run(nowSec(), job.id);
+        // L'étape précédente vient de tourner : la suivante repart même si elle a déjà été faite
+        for (const n of next) enqueue(n.stage, job.wa_message_id, n.payload || {}, { force: true, ...(n.options || {}) });
+    })();
+}
+
+function failJob(job, error) {
+    const message = (error && error.message) || String(error);
+    const dead = job.attempts >= job.max_attempts;
+    getDb().prepare(`
+        UPDATE pipeline_jobs
+        SET status = ?, last_error = ?, next_run_at = ?, updated_at = ?
+        WHERE id = ?
+    `).run(dead ? 'dead' : 'pending', message, nowSec() + backoffSec(job.attempts), nowSec(), job.id);
+
+    if (dead) {
+        console.error(`☠️ Job #${job.id} (${job.stage} ${job.wa_message_id || ''}) en dead-letter: ${message}`);
+    } else {
+        console.log(`⚠️ Job #${job.id} (${job.stage}) échec ${job.attempts}/${job.max_attempts}, retry dans ${backoffSec(job.attempts)}s: ${message}`);
+    }
+}
+
+async function runJob(job) {
+    running++;
+    runningByStage.set(job.stage, (runningByStage.get(job.stage) || 0) + 1);
+    try {
+        const result = await handlers.get(job.stage).fn(job);
+        completeJob(job, result);
+    } catch (e) {
+        failJob(job, e);
+    } finally {
+        running--;
+        runningByStage.set(job.stage, runningByStage.get(job.stage) - 1);
+    }
+}
+
+function tick() {
+    while (running < concurrency) {
+        const job = claimNext();
+        if (!job) break;
+        runJob(job);
+    }
+}
+
+// =============================================================================
+// WORKER
+// =============================================================================
+
+/**
+ * Démarre le worker (idempotent). Les jobs restés "running" sont remis en file.
+ */
+function startWorker({ intervalMs = POLL_INTERVAL_MS, concurrency: c = 1 } = {}) {
+    concurrency = Math.max(concurrency, c);
+    if (timer) return;
+
+    const recovered = getDb().prepare(`
+        UPDATE pipeline_jobs SET status = 'pending', next_run_at = ?, updated_at = ? WHERE status = 'running'
+    `).run(nowSec(), nowSec());
+    if (recovered.changes > 0) console.log(`♻️ ${recovered.changes} job(s) interrompu(s) remis en file`);
+
+    timer = setInterval(tick, intervalMs);
+    console.log(`⚙️ Worker pipeline démarré (étapes: ${[...handlers.keys()].join(', ')})`);
+}
+
+function stopWorker() {
+    if (timer) clearInterval(timer);
+    timer = null;
+}
+
+// =============================================================================
+// ADMIN
+// =============================================================================
+
+function listJobs({ status, stage, limit = 100 } = {}) {
+    const where = [];
+    const params = [];
+    if (status) { where.push('status = ?'); params.push(status); }
+    if (stage) { where.push('stage = ?'); params.push(stage); }
+    return getDb().prepare(`
+        SELECT * FROM pipeline_jobs
+        ${where.length ? 'WHERE ' + where.join(' AND ') : ''}
+        ORDER BY updated_at DESC
+        LIMIT ?
+    `).all(...params, limit).map(toJob);
+}
+
+function getQueueStats() {
+    const rows = getDb().prepare(`
+        SELECT stage, status, COUNT(*) AS n FROM pipeline_jobs GROUP BY stage, status
+    `).all();
+    const stats = {};
+    for (const r of rows) {
+        stats[r.stage] = stats[r.stage] || {};
+        stats[r.stage][r.status] = r.n;
+    }
+    return stats;
+}
+
+/**
+ * Remet un job mort (ou en échec) en file avec un nouveau quota de tentatives
+ */
+function retryJob(id) {
+    const info = getDb().prepare(`
+        UPDATE pipeline_jobs
+        SET status = 'pending', attempts = 0, next_run_at = ?, updated_at = ?
+        WHERE id = ? AND status IN ('dead', 'pending')
+    `).run(nowSec(), nowSec(), id);
+    return info.changes > 0;
+}
+
+function setupJobEndpoints(app, requireAdmin) {
+    // GET /api/admin/jobs?status=dead&stage=transcribe
+    app.get('/api/admin/jobs', requireAdmin, (req, res) => {
+        try {
+            const { status, stage, limit } = req.query;
+            res.json({ jobs: listJobs({ status, stage, limit: parseInt(limit) || 100 }), stats: getQueueStats() });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/jobs/:id/retry
+    app.post('/api/admin/jobs/:id/retry', requireAdmin, (req, res) => {
+        try {
+            if (!retryJob(req.params.id)) return res.status(404).json({ error: 'Job introuvable ou déjà traité' });
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    console.log('✅ Job endpoints registered: /api/admin/jobs');
+}
+
+module.exports = {
+    ensureJobsTable,
+    enqueue,
+    registerHandler,
+    startWorker,
+    stopWorker,
+    listJobs,
+    getQueueStats,
+    retryJob,
+    setupJobEndpoints
+};
@@ -0,0 +1,87 @@
+/**
+ * Extraction du contenu des documents et vidéos partagés dans les groupes
+ * - PDF → texte (pdftotext, poppler-utils)
+ * - Vidéo → piste audio mono 16 kHz (ffmpeg), transcrite ensuite comme une note vocale
+ */
+
+const { execFile } = require('child_process');
+const path = require('path');
+const fs = require('fs');
+
+const EXTRACT_TIMEOUT_MS = 5 * 60 * 1000;
+const MAX_BUFFER = 50 * 1024 * 1024;
+
+function run(cmd, args) {
+    return new Promise((resolve, reject) => {
+        execFile(cmd, args, { timeout: EXTRACT_TIMEOUT_MS, maxBuffer: MAX_BUFFER }, (err, stdout, stderr) => {
+            if (err) {
+                if (err.code === 'ENOENT') return reject(new Error(`${cmd} introuvable (installer ${cmd === 'pdftotext' ? 'poppler-utils' : cmd})`));
+                return reject(new Error(`${cmd}: ${(stderr || err.message).toString().trim().split('\n').pop()}`));
+            }
+            resolve(stdout);
+        });
+    });
+}
+
+/**
+ * Type de média à partir du type WhatsApp et du mimetype
+ * (un document peut contenir un audio ou une vidéo transférés)
+ * @returns {'audio'|'video'|'document'|'image'|null}
+ */
+function mediaTypeOf(msgType, mimetype = '') {
+    if (msgType === 'ptt' || msgType === 'audio') return 'audio';
+    if (msgType === 'video') return 'video';
+    if (msgType === 'image') return 'image';
+    if (msgType === 'document') {
+        if (mimetype.startsWith('audio/')) return 'audio';
+        if (mimetype.startsWith('video/')) return 'video';
+        return 'document';
+    }
+    return null;
+}
+
+function isPdf(filePath, mimetype = '') {
+    return mimetype.includes('pdf') || path.extname(filePath).toLowerCase() === '.pdf';
+}
+
+/**
+ * Texte d'un PDF (vide pour un PDF scanné sans couche texte)
+ */
+async function extractPdfText(filePath) {
+    const text = await run('pdftotext', ['-layout', '-enc', 'UTF-8', filePath, '-']);
+    return text
+        .replace(/\f/g, '\n')
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Chemin de la piste audio extraite d'une vidéo (à côté du fichier vidéo)
+ */
+function audioTrackPath(videoPath) {
+    return videoPath.replace(/\.[^.\/]+$/, '') + '.audio.mp3';
+}
+
+/**
+ * Extrait la piste audio d'une vidéo (réutilise le fichier s'il existe déjà)
+ * @returns {string|null} chemin du mp3, null si la vidéo n'a pas de son
+ */
+async function extractAudioTrack(videoPath) {
+    const out = audioTrackPath(videoPath);
+    if (fs.existsSync(out) && fs.statSync(out).size > 0) return out;
+
+    const probe = await run('ffprobe', ['-v', 'error', '-select_streams', 'a', '-show_entries', 'stream=index', '-of', 'csv=p=0', videoPath]);
+    if (!probe.trim()) return null;
+
+    await run('ffmpeg', ['-y', '-loglevel', 'error', '-i', videoPath, '-vn', '-ac', '1', '-ar', '16000', '-b:a', '48k', out]);
+    return out;
+}
+
+module.exports = {
+    mediaTypeOf,
+    isPdf,
+    extractPdfText,
+    audioTrackPath,
+    extractAudioTrack
+};
@@ -0,0 +1,157 @@
+/**
+ * Événements WhatsApp sur des messages déjà archivés : édition, suppression pour tous, réactions
+ * - Édition → question_text mis à jour, ancienne version conservée dans message_revisions
+ * - Suppression → soft-delete (deleted_at)
+ * - Réaction → vote implicite dans feedback (source 'whatsapp_reaction')
+ * Tous passent par les triggers FTS et invalident le cache vectoriel, comme les éditions admin.
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+const { invalidateCache } = require('./rag_api');
+const { FeedbackManager } = require('./feedback_system');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+let db = null;
+let feedback = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureRevisionsTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS message_revisions (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            message_id INTEGER,
+            wa_message_id TEXT,
+            action TEXT, -- 'edit', 'revoke'
+            previous_text TEXT,
+            new_text TEXT,
+            source TEXT DEFAULT 'whatsapp',
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            FOREIGN KEY (message_id) REFERENCES messages(id)
+        )
+    `);
+    database.exec(`CREATE INDEX IF NOT EXISTS idx_revisions_message ON message_revisions(message_id)`);
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureRevisionsTable(db);
+    }
+    return db;
+}
+
+function waIdOf(msg) {
+    return msg && msg.id ? (msg.id._serialized || msg.id) : null;
+}
+
+// =============================================================================
+// HANDLERS
+// =============================================================================
+
+/**
+ * Message édité dans WhatsApp
+ * @returns {boolean} true si un message archivé a été mis à jour
+ */
+function handleEdit(msg, newBody, prevBody) {
+    const waId = waIdOf(msg);
+    const text = (newBody || '').trim();
+    if (!waId || !text) return false;
+
+    const database = getDb();
+    const row = database.prepare('SELECT id, question_text FROM messages WHERE wa_message_id = ?').get(waId);
+    if (!row || row.question_text === text) return false;
+
+    database.transaction(() => {
+        database.prepare(`
+            INSERT INTO message_revisions (message_id, wa_message_id, action, previous_text, new_text)
+            VALUES (?, ?, 'edit', ?, ?)
+        `).run(row.id, waId, row.question_text ?? prevBody ?? null, text);
+
+        database.prepare('UPDATE messages SET question_text = ? WHERE id = ?').run(text, row.id);
+
+        // Les audios qui avaient copié le texte de cette question suivent l'édition
+        database.prepare(`
+            UPDATE messages SET question_text = ?
+            WHERE question_message_id = ? AND id != ? AND question_text = ?
+        `).run(text, waId, row.id, row.question_text);
+    })();
+
+    console.log(`✏️ Message ${row.id} édité dans WhatsApp`);
+    invalidateCache();
+    return true;
+}
+
+/**
+ * Message supprimé pour tous dans WhatsApp → soft-delete
+ * @returns {boolean} true si un message archivé a été supprimé
+ */
+function handleRevoke(after, before) {
+    const waId = waIdOf(before) || waIdOf(after);
+    if (!waId) return false;
+
+    const database = getDb();
+    const row = database.prepare('SELECT id, question_text FROM messages WHERE wa_message_id = ? AND deleted_at IS NULL').get(waId);
+    if (!row) return false;
+
+    database.transaction(() => {
+        database.prepare(`
+            INSERT INTO message_revisions (message_id, wa_message_id, action, previous_text)
+            VALUES (?, ?, 'revoke', ?)
+        `).run(row.id, waId, row.question_text);
+
+        database.prepare('UPDATE messages SET deleted_at = ? WHERE id = ?').run(Math.floor(Date.now() / 1000), row.id);
+    })();
+
+    console.log(`🗑️ Message ${row.id} supprimé dans WhatsApp (soft-delete)`);
+    invalidateCache();
+    return true;
+}
+
+/**
+ * Réaction WhatsApp (👍, ❤️, 👎...) sur un message archivé → vote implicite
+ * @returns {boolean} true si le feedback a changé
+ */
+function handleReaction(reaction) {
+    const waId = reaction?.msgId?._serialized || reaction?.msgId;
+    const voterJid = reaction?.senderId;
+    if (!waId || !voterJid) return false;
+
+    const row = getDb().prepare('SELECT id, question_text FROM messages WHERE wa_message_id = ? AND deleted_at IS NULL').get(waId);
+    if (!row) return false;
+
+    if (!feedback) feedback = new FeedbackManager();
+    const changed = feedback.recordReaction({
+        messageId: row.id,
+        query: row.question_text,
+        voterJid,
+        emoji: reaction.reaction || ''
+    });
+
+    if (changed) {
+        console.log(`${reaction.reaction || '↩️'} Réaction sur le message ${row.id} enregistrée`);
+        invalidateCache();
+    }
+    return changed;
+}
+
+/**
+ * Historique des versions d'un message (id interne)
+ */
+function getRevisions(messageId) {
+    return getDb().prepare(`
+        SELECT * FROM message_revisions WHERE message_id = ? ORDER BY created_at, id
+    `).all(messageId);
+}
+
+module.exports = {
+    ensureRevisionsTable,
+    handleEdit,
+    handleRevoke,
+    handleReaction,
+    getRevisions
+};
@@ -1,103 +1,40 @@
 require('dotenv').config();
 const path = require('path');
 const fs = require('fs');
-const Database = require('better-sqlite3');
 const DB = require('./db');
-const { transcribe } = require('./transcribe_openai');
-const { rewriteTorahStyle } = require('./rewrite');
-const { enrichTorah } = require('./enrich_torah');
-const { enhancedMatchAnswerToQuestion } = require('./enhanced_matcher');
-const { processEntry } = require('./torah_transcription');
 const firebaseSync = require('./firebase_sync'); // NOUVEAU: Real-time Firebase sync
+const { getActiveTransport, webJsMessageOps } = require('./wa_transport');
+const { resolveGroup } = require('./groups');
+const { isResponder: isRegisteredResponder } = require('./responders');
+const { enqueueMedia, enqueueImage } = require('./audio_pipeline');
+const { mediaTypeOf } = require('./media_extract');
+const { suggestForQuestion } = require('./auto_suggest');
+const { assignThread } = require('./threads');
+const { isCommand } = require('./bot_commands');
 
 const MEDIA_DIR = path.join(__dirname, 'media');
 if (!fs.existsSync(MEDIA_DIR)) fs.mkdirSync(MEDIA_DIR);
 
-// ===============
-// Fonctions d'auto-liage question ↔ réponse
-// ===============
-
-function findCandidateQuestions(groupName, tsSec, windowHours = 6, limit = 30) {
-    const db = new Database(process.env.DB_PATH || path.join(__dirname, 'ravqa.db'));
-    // Cherche les questions du même groupe, posées AVANT la réponse, dans une fenêtre temporelle
-    return db.prepare(`
-    SELECT id, ts, question_text
-    FROM messages
-    WHERE group_name = ?
-      AND question_text IS NOT NULL AND question_text!=''
-      AND ts <= ?
-      AND ts >= ? - ?
-    ORDER BY ts DESC
-    LIMIT ?
-  `).all(groupName, tsSec, tsSec, windowHours * 3600, limit);
-}
-
-function simpleSimilarity(a, b) {
-    if (!a || !b) return 0;
-    a = a.toLowerCase(); b = b.toLowerCase();
-    // petit score heuristique (mots en commun)
-    const ta = new Set(a.split(/\W+/).filter(Boolean));
-    const tb = new Set(b.split(/\W+/).filter(Boolean));
-    let inter = 0; for (const t of ta) if (tb.has(t)) inter++;
-    return inter / Math.max(3, Math.min(ta.size, tb.size));
-}
-
-function pickBestQuestion(candidates, answerText) {
-    let best = null;
-    for (const c of candidates) {
-        const s = simpleSimilarity(c.question_text, answerText);
-        if (!best || s > best.score) best = { id: c.id, score: s };
-    }
-    return best;
-}
-
-async function autoLinkAnswer(waId, groupName, answerText) {
+// Rattachement au fil de conversation (ne bloque jamais l'archivage)
+function threadMessage(waId) {
     try {
-        const tsSec = Math.floor(Date.now() / 1000);
-        const candidates = findCandidateQuestions(groupName, tsSec, 6, 50);
-
-        let linkId = null, conf = null;
-
-        if (candidates.length > 0) {
-            const best = pickBestQuestion(candidates, answerText);
-            if (best && best.score >= 0.15) { // seuil léger
-                linkId = best.id;
-                conf = Number(best.score.toFixed(3));
-            } else {
-                // fallback : la plus proche dans le temps (1ère de la liste)
-                linkId = candidates[0].id;
-                conf = 0.05;
-            }
-        }
-
-        // Mise à jour en base
-        const db = new Database(process.env.DB_PATH || path.join(__dirname, 'ravqa.db'));
-        db.prepare(`
-      UPDATE messages
-      SET link_question_id = COALESCE(?, link_question_id), 
-          link_confidence = COALESCE(?, link_confidence)
-      WHERE wa_message_id = ?
-    `).run(linkId, conf, waId);
-
-        if (linkId) {
-            console.log(`🔗 Auto-liage: ${waId} → question #${linkId} (confiance: ${conf})`);
-        }
+        assignThread(waId);
     } catch (e) {
-        console.log('⚠️ Erreur auto-liage:', e?.message || e);
+        console.log('⚠️ Fil de conversation:', e.message);
     }
 }
 
 // ===============
-// Gestionnaire de messages unifié (Live & Catch-up)
+// Gestionnaire de messages unifié (Live, Catch-up & Replay)
 // ===============
-async function processMessage(msg, { isCatchUp = false } = {}) {
+async function processMessage(msg, { isCatchUp = false, transport = getActiveTransport() || webJsMessageOps } = {}) {
     try {
-        const chat = await msg.getChat();
+        const chat = await transport.getChat(msg);
 
-        // Vérifier si c'est un groupe ciblé
+        // Vérifier si c'est un groupe ciblé (config par JID, table groups)
         if (!chat.isGroup) return;
-        const GROUPS = [process.env.GROUP_1, process.env.GROUP_2].filter(Boolean);
-        if (GROUPS.length && !GROUPS.includes(chat.name)) return;
+        const group = resolveGroup(chat);
+        if (!group.ingest) return;
 
         if (!isCatchUp) {
             console.log(`📥 Message reçu de ${chat.name} (${msg.type})`);
@@ -107,9 +44,23 @@ async function processMessage(msg, { isCatchUp = false } = {}) {
         const waId = msg.id._serialized;
         const senderJid = (msg.author || msg.from || '').toString();
         const senderName = (msg._data?.notifyName) || senderJid.split('@')[0];
+        // Registre des répondants (JID ou alias), restreint par la liste du groupe si elle est définie
+        const isResponder = isRegisteredResponder({ jid: senderJid, name: senderName }, group);
 
         // 1) Texte → mémoriser question
         if (msg.type === 'chat' && msg.body && msg.body.trim()) {
+            // Les commandes du bot (!cherche, !source...) ne sont pas des questions
+            if (isCommand(msg.body)) return;
+
+            // Relance citant un message précédent (question, réponse du Rav...)
+            let repliedToId = null;
+            try {
+                if (msg.hasQuotedMsg) {
+                    const q = await transport.getQuotedMessage(msg);
+                    if (q) repliedToId = q.id._serialized;
+                }
+            } catch (_) { }
+
             const questionData = {
                 wa_message_id: waId,
                 group_name: chat.name,
@@ -122,10 +73,11 @@ async function processMessage(msg, { isCatchUp = false } = {}) {
                 question_message_id: waId,
                 transcript_raw: null,
                 transcript_torah: null,
-                replied_to_message_id: null
+                replied_to_message_id: repliedToId
             };
 
             await DB.upsert(questionData);
+            threadMessage(waId);
 
             // NOUVEAU: Sync to Firebase
             await firebaseSync.saveMessage(questionData).catch(e =>
@@ -135,34 +87,26 @@ async function processMessage(msg, { isCatchUp = false } = {}) {
             if (!isCatchUp) {
                 console.log(`📝 Question: ${msg.body.trim().substring(0, 50)}...`);
             }
-            return;
-        }
-
-        // 2) Audio
-        if ((msg.type === 'ptt' || msg.type === 'audio') && msg.hasMedia) {
-            const media = await msg.downloadMedia();
-            if (!media) return;
 
-            const buffer = Buffer.from(media.data, 'base64');
-            const ext =
-                media.mimetype.includes('ogg') ? 'ogg' :
-                    media.mimetype.includes('opus') ? 'opus' :
-                        media.mimetype.includes('mp4') ? 'mp4' : 'mp3';
-
-            const filename = `${waId}.${ext}`;
-            const filePath = path.join(MEDIA_DIR, filename);
-
-            // Éviter d'écraser si existe déjà (optimisation catch-up)
-            if (!fs.existsSync(filePath) || fs.statSync(filePath).size === 0) {
-                fs.writeFileSync(filePath, buffer);
+            // Question déjà traitée dans les archives ? → suggestion soumise à un modérateur
+            if (group.autoSuggest && !isCatchUp && !isResponder) {
+                await suggestForQuestion({ waId, question: msg.body, group }).catch(e =>
+                    console.log('⚠️ Auto-suggestion échouée:', e.message)
+                );
             }
+            return;
+        }
 
+        // 2) Audio, vidéo, document → enregistrement + mise en file du pipeline
+        //    (download → [extract] → transcribe → link → torah → sync)
+        const mediaType = msg.hasMedia ? mediaTypeOf(msg.type, msg._data?.mimetype || '') : null;
+        if (mediaType === 'audio' || mediaType === 'video' || mediaType === 'document') {
             let repliedToId = null, question_text = null, question_message_id = null;
 
             // Essayer de trouver le contexte (réponse à quoi ?)
             try {
                 if (msg.hasQuotedMsg) {
-                    const q = await msg.getQuotedMessage();
+                    const q = await transport.getQuotedMessage(msg);
                     if (q) {
                         repliedToId = q.id._serialized;
                         if (q.type === 'chat' && q.body && q.body.trim()) {
@@ -193,106 +137,43 @@ async function processMessage(msg, { isCatchUp = false } = {}) {
                 }
             }
 
-            // Sauvegarde initiale de l'audio
+            // Sauvegarde initiale (le fichier est téléchargé par le job "download")
+            const existingEntry = await DB.findByWA(waId);
             await DB.upsert({
                 wa_message_id: waId,
                 group_name: chat.name,
                 sender_name: senderName,
                 sender_jid: senderJid,
                 ts: Math.floor(tsMs / 1000),
-                audio_path: filePath,
+                audio_path: existingEntry?.audio_path || null,
                 audio_seconds: msg._data?.duration || null,
                 question_text,
                 question_message_id,
                 transcript_raw: null,
                 transcript_torah: null,
-                replied_to_message_id: repliedToId
+                replied_to_message_id: repliedToId,
+                media_type: mediaType
             });
-
-            // Transcription
-            let raw = null;
-            // 0) Vérifier cache DB pour éviter de repayer OpenAI Whisper
-            const existingEntry = await DB.findByWA(waId);
-            if (existingEntry && existingEntry.transcript_raw) {
-                raw = existingEntry.transcript_raw;
-                if (!isCatchUp) console.log('⚡ Transcription récupérée du cache DB.');
-            } else {
-                raw = await transcribe(filePath, question_text || null);
-            }
-
-            if (!raw) return;
-
-            // Save RAW transcription immediately (if not already there)
-            if (!existingEntry || !existingEntry.transcript_raw) {
-                await DB.updateTranscript(waId, raw, null);
-            }
-
-            // 1) Matching intelligent question↔réponse
-            const match = await enhancedMatchAnswerToQuestion({
-                groupName: chat.name,
-                audioWAId: waId,
-                answerText: raw,
-                answerSender: senderName || '',
-                answerTsSec: Math.floor(tsMs / 1000),
-                repliedToMessageId: repliedToId || null,
-                questionTextHint: question_text || null
-            });
-
-            // 2) NOUVEAU FLUX : Correction + Version Torah (remplace l'ancien enrichissement)
-            const { transcriptionCorrigee, versionTorah, drapeauIncomplet } = await processEntry({
-                question: question_text || match.questionText || '', // Use matched question text if available
-                rawTranscription: raw
+            threadMessage(waId);
+
+            const jobId = enqueueMedia(waId, {
+                groupJid: group.jid,
+                senderName,
+                isResponder,
+                isCatchUp,
+                mediaType
             });
 
-            // 3) Mise à jour DB avec les versions traitées
-            await DB.updateProcessedEntry(waId, transcriptionCorrigee, versionTorah, drapeauIncomplet);
-
-            // 4) NOUVEAU: Upload audio to Firebase Storage
-            let firebaseAudioUrl = null;
-            try {
-                firebaseAudioUrl = await firebaseSync.uploadAudio(filePath, waId);
-                if (firebaseAudioUrl && !isCatchUp) {
-                    console.log('☁️ Audio uploaded to Firebase Storage');
-                }
-            } catch (e) {
-                console.log('⚠️ Firebase audio upload failed:', e.message);
-            }
-
-            // 5) NOUVEAU: Sync to Firebase with complete data
-            const audioData = {
-                wa_message_id: waId,
-                group_name: chat.name,
-                sender_name: senderName,
-                sender_jid: senderJid,
-                ts: Math.floor(tsMs / 1000),
-                audio_path: filePath,
-                audio_firebase_url: firebaseAudioUrl,
-                audio_seconds: msg._data?.duration || null,
-                question_text: match.questionText || question_text,
-                transcript_raw: raw,
-                transcript_torah: versionTorah,
-                link_question_id: match.qid,
-                link_confidence: match.confidence,
-                link_method: match.method,
-                answer_sender: senderName
-            };
-
-            await firebaseSync.saveMessage(audioData).catch(e =>
-                console.log('⚠️ Firebase sync failed (audio):', e.message)
-            );
-
-            // 6) Auto-liage (sur la version Torah générée)
-            await autoLinkAnswer(waId, chat.name, versionTorah || raw || '');
-
             if (!isCatchUp) {
-                console.log(`🔗 Lien ${match.method} → qid=${match.qid || 'aucune'} (conf=${(match.confidence || 0).toFixed(2)})`);
-                console.log(`🎵 Traité: ${versionTorah.substring(0, 50)}... [Incomplet: ${drapeauIncomplet}]`);
+                const icon = mediaType === 'video' ? '🎬 Vidéo' : mediaType === 'document' ? '📄 Document' : '🎵 Audio';
+                console.log(`${icon} mis en file (job #${jobId})`);
             }
+            return;
         }
 
         // 3) Image
         if (msg.type === 'image' && msg.hasMedia) {
-            const media = await msg.downloadMedia();
+            const media = await transport.downloadMedia(msg);
             if (media) {
                 const ext = media.mimetype.includes('jpeg') ? 'jpg' :
                     media.mimetype.includes('png') ? 'png' :
@@ -314,7 +195,19 @@ async function processMessage(msg, { isCatchUp = false } = {}) {
                     transcript_raw: null,
                     transcript_torah: null,
                     sources_json: null,
-                    coherence_json: null
+                    coherence_json: null,
+                    media_type: 'image'
+                });
+                threadMessage(waId);
+
+                // OCR (captures de réponses écrites ou de questions)
+                enqueueImage(waId, {
+                    groupJid: group.jid,
+                    senderName,
+                    isResponder,
+                    isCatchUp,
+                    mediaType: 'image',
+                    mimetype: media.mimetype
                 });
 
                 if (!isCatchUp) {
@@ -0,0 +1,104 @@
+/**
+ * OCR des images partagées dans les groupes (captures de réponses écrites, de questions...)
+ * - Moteurs interchangeables : OCR_ENGINE=tesseract (local, par défaut) | none
+ * - Un autre moteur peut être branché via registerOcrEngine(name, fn)
+ *
+ * Usage CLI (rattrapage des images déjà archivées) : node ocr.js [--limit 500]
+ */
+
+require('dotenv').config();
+const { execFile } = require('child_process');
+const fs = require('fs');
+
+const OCR_ENGINE = process.env.OCR_ENGINE || 'tesseract';
+const OCR_LANGS = process.env.OCR_LANGS || 'fra+heb+eng';
+const OCR_TIMEOUT_MS = 2 * 60 * 1000;
+const OCR_MIN_CHARS = 20;   // en dessous : bruit (logo, sticker...), pas traité comme texte
+
+const engines = new Map();   // nom → async fn(filePath, { langs }) → texte
+
+/**
+ * Déclare un moteur OCR
+ */
+function registerOcrEngine(name, fn) {
+    engines.set(name, fn);
+}
+
+registerOcrEngine('none', async () => '');
+
+registerOcrEngine('tesseract', (filePath, { langs }) => new Promise((resolve, reject) => {
+    execFile('tesseract', [filePath, 'stdout', '-l', langs], { timeout: OCR_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+        if (err) {
+            if (err.code === 'ENOENT') return reject(new Error('tesseract introuvable (installer tesseract-ocr)'));
+            return reject(new Error(`tesseract: ${(stderr || err.message).toString().trim().split('\n').pop()}`));
+        }
+        resolve(stdout);
+    });
+}));
+
+function cleanText(text) {
+    return (text || '')
+        .replace(/\f/g, '\n')
+        .replace(/[ \t]+/g, ' ')
+        .replace(/ ?\n ?/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+/**
+ * Texte d'une image avec le moteur configuré
+ * @returns {string} texte nettoyé ('' si rien de lisible)
+ */
+async function recognize(filePath, { engine = OCR_ENGINE, langs = OCR_LANGS } = {}) {
+    const fn = engines.get(engine);
+    if (!fn) throw new Error(`Moteur OCR inconnu: ${engine}`);
+    if (!filePath || !fs.existsSync(filePath)) throw new Error(`Image introuvable: ${filePath}`);
+    return cleanText(await fn(filePath, { langs }));
+}
+
+/**
+ * Le texte reconnu est-il assez long pour servir de question / réponse ?
+ */
+function isMeaningful(text) {
+    return !!text && text.replace(/\s/g, '').length >= OCR_MIN_CHARS;
+}
+
+module.exports = {
+    registerOcrEngine,
+    recognize,
+    isMeaningful,
+    OCR_ENGINE
+};
+
+// CLI : OCR des images archivées qui n'ont pas encore de texte
+if (require.main === module) {
+    const Database = require('better-sqlite3');
+    const db = new Database(process.env.DB_PATH || './ravqa.db');
+    const limitArg = process.argv.indexOf('--limit');
+    const limit = limitArg > 0 ? parseInt(process.argv[limitArg + 1], 10) || 500 : 500;
+
+    (async () => {
+        const rows = db.prepare(`
+            SELECT id, audio_path FROM messages
+            WHERE (media_type = 'image' OR audio_path LIKE '%.jpg' OR audio_path LIKE '%.jpeg' OR audio_path LIKE '%.png')
+              AND ocr_text IS NULL AND deleted_at IS NULL
+            ORDER BY ts DESC
+            LIMIT ?
+        `).all(limit);
+        console.log(`🔎 OCR (${OCR_ENGINE}) de ${rows.length} images...`);
+
+        let found = 0, errors = 0;
+        for (const row of rows) {
+            try {
+                const text = await recognize(row.audio_path);
+                db.prepare('UPDATE messages SET ocr_text = ? WHERE id = ?').run(text, row.id);
+                if (isMeaningful(text)) found++;
+            } catch (e) {
+                console.log(`  ⚠️ #${row.id}: ${e.message}`);
+                errors++;
+            }
+        }
+        console.log(`✅ Terminé : ${found} images avec texte, ${errors} erreurs.`);
+        db.close();
+    })();
+}
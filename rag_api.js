@@ -5,6 +5,8 @@
 
 require('dotenv').config();
 const { applyGuardrails, calculateConfidence, filterQuery } = require('./guardrails');
+const { IMPLICIT_FEEDBACK_WEIGHT } = require('./feedback_system');
+const { responderName } = require('./responders');
 const OpenAI = require('openai');
 const Database = require('better-sqlite3');
 const path = require('path');
@@ -42,9 +44,13 @@ function loadVectors() {
         const rows = db.prepare(`
             SELECT e.id, e.vector, 
                    m.question_text, m.transcript_torah, m.transcript_raw, m.audio_path,
-                   m.ts, m.group_name, m.relevance_score,
+                   m.ts, m.group_name, m.relevance_score, m.sender_name, m.sender_jid,
                    -- Calcul du score de pertinence basé sur les votes (Net Promoter Score simplifié)
-                   COALESCE(SUM(CASE WHEN f.is_valid = 1 THEN 1 WHEN f.is_valid = 0 THEN -1 ELSE 0 END), 0) as feedback_score
+                   -- Votes explicites du site et réactions WhatsApp comptés séparément
+                   COALESCE(SUM(CASE WHEN COALESCE(f.source, 'web') = 'web'
+                       THEN (CASE WHEN f.is_relevant = 1 THEN 1 WHEN f.is_relevant = 0 THEN -1 ELSE 0 END) ELSE 0 END), 0) as explicit_score,
+                   COALESCE(SUM(CASE WHEN f.source = 'whatsapp_reaction'
+                       THEN (CASE WHEN f.is_relevant = 1 THEN 1 WHEN f.is_relevant = 0 THEN -1 ELSE 0 END) ELSE 0 END), 0) as implicit_score
             FROM message_embeddings e
             JOIN messages m ON e.id = m.id
             LEFT JOIN feedback f ON m.id = f.message_id
@@ -61,7 +67,8 @@ function loadVectors() {
                 audio_path: r.audio_path,
                 timestamp: r.ts,
                 group_name: r.group_name,
-                feedback_score: r.feedback_score // Store score for reranking
+                responder: responderName(r),
+                feedback_score: r.explicit_score + r.implicit_score * IMPLICIT_FEEDBACK_WEIGHT // Store score for reranking
             },
             relevance_score: r.relevance_score || 0.5
         }));
@@ -131,6 +138,7 @@ async function searchLocal(query, limit = 10) {
                 answer: r.payload.answer || '',
                 audio_path: r.payload.audio_path,
                 group_name: r.payload.group_name || '',
+                responder: r.payload.responder,
                 timestamp: r.payload.timestamp
             }));
 
@@ -199,6 +207,7 @@ async function secureRAGSearch(query, options = {}) {
             question: r.question,
             answer: includeDetails ? r.answer : r.answer.substring(0, 200) + '...',
             confidence: r.confidence,
+            responder: r.responder || null,
             audio_url: getAudioUrl(r.audio_path)
         })),
         stats: {
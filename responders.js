@@ -0,0 +1,239 @@
+/**
+ * Registre des répondants (Rabbanim, assistants) : qui "répond" dans les groupes
+ * - Identifiés par JID et/ou par noms affichés (alias), pour les imports sans JID
+ * - Remplace le filtre codé en dur sur 'Michael Abichid'
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+// Répondant historique, inséré à la création de la table
+const DEFAULT_RESPONDER = { name: 'Michael Abichid', role: 'rav', aliases: ['Michael Abichid'] };
+
+const ROLES = ['rav', 'assistant'];
+
+let db = null;
+let cache = null;   // liste des répondants actifs (invalidée à chaque modification)
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureRespondersTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS responders (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            name TEXT NOT NULL,
+            jid TEXT UNIQUE,
+            aliases_json TEXT DEFAULT '[]',
+            role TEXT DEFAULT 'rav', -- 'rav', 'assistant'
+            active INTEGER DEFAULT 1,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+    `);
+
+    const count = database.prepare('SELECT COUNT(*) as n FROM responders').get().n;
+    if (count === 0) {
+        database.prepare('INSERT INTO responders (name, role, aliases_json) VALUES (?, ?, ?)')
+            .run(DEFAULT_RESPONDER.name, DEFAULT_RESPONDER.role, JSON.stringify(DEFAULT_RESPONDER.aliases));
+    }
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureRespondersTable(db);
+    }
+    return db;
+}
+
+function toResponder(row) {
+    if (!row) return null;
+    let aliases = [];
+    try { aliases = JSON.parse(row.aliases_json || '[]'); } catch (_) { }
+    return {
+        id: row.id,
+        name: row.name,
+        jid: row.jid || null,
+        aliases,
+        role: row.role || 'rav',
+        active: !!row.active,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+function normalizeName(name) {
+    return (name || '').normalize('NFKC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+// =============================================================================
+// ACCÈS
+// =============================================================================
+
+function listResponders({ includeInactive = false } = {}) {
+    return getDb().prepare(`
+        SELECT * FROM responders ${includeInactive ? '' : 'WHERE active = 1'} ORDER BY name
+    `).all().map(toResponder);
+}
+
+function getResponder(id) {
+    return toResponder(getDb().prepare('SELECT * FROM responders WHERE id = ?').get(id));
+}
+
+function activeResponders() {
+    if (!cache) cache = listResponders();
+    return cache;
+}
+
+/**
+ * Trouve le répondant correspondant à un expéditeur (JID prioritaire, sinon nom/alias)
+ * @returns {Object|null}
+ */
+function findResponder({ jid, name } = {}) {
+    const responders = activeResponders();
+    if (jid) {
+        const byJid = responders.find(r => r.jid === jid);
+        if (byJid) return byJid;
+    }
+    const n = normalizeName(name);
+    if (!n) return null;
+    return responders.find(r => normalizeName(r.name) === n || r.aliases.some(a => normalizeName(a) === n)) || null;
+}
+
+/**
+ * L'expéditeur compte-t-il comme répondant dans ce groupe ?
+ * Une liste de JIDs sur le groupe (groups.responders) restreint aux seuls JIDs listés.
+ */
+function isResponder({ jid, name } = {}, group = null) {
+    if (group && group.responders && group.responders.length > 0) {
+        return !!jid && group.responders.includes(jid);
+    }
+    return !!findResponder({ jid, name });
+}
+
+/**
+ * Nom affiché du répondant d'une ligne `messages` (null si l'auteur n'est pas un répondant)
+ */
+function responderName(row) {
+    const r = findResponder({ jid: row.sender_jid, name: row.sender_name });
+    return r ? r.name : null;
+}
+
+// =============================================================================
+// MODIFICATIONS
+// =============================================================================
+
+function validate(data, partial) {
+    const out = {};
+    if (data.name !== undefined || !partial) {
+        if (typeof data.name !== 'string' || !data.name.trim()) throw new Error('name doit être une chaîne non vide');
+        out.name = data.name.trim();
+    }
+    if (data.jid !== undefined) {
+        if (data.jid !== null && (typeof data.jid !== 'string' || !data.jid.trim())) throw new Error('jid doit être une chaîne ou null');
+        out.jid = data.jid ? data.jid.trim() : null;
+    }
+    if (data.aliases !== undefined) {
+        if (!Array.isArray(data.aliases) || data.aliases.some(a => typeof a !== 'string')) throw new Error('aliases doit être une liste de noms');
+        out.aliases_json = JSON.stringify(data.aliases.map(a => a.trim()).filter(Boolean));
+    }
+    if (data.role !== undefined) {
+        if (!ROLES.includes(data.role)) throw new Error(`role doit être l'un de: ${ROLES.join(', ')}`);
+        out.role = data.role;
+    }
+    if (data.active !== undefined) {
+        if (typeof data.active !== 'boolean') throw new Error('active doit être un booléen');
+        out.active = data.active ? 1 : 0;
+    }
+    return out;
+}
+
+/**
+ * Ajoute un répondant
+ * @throws {Error} si les données sont invalides
+ */
+function addResponder(data) {
+    const fields = validate(data, false);
+    const cols = Object.keys(fields);
+    const info = getDb().prepare(`
+        INSERT INTO responders (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})
+    `).run(...cols.map(c => fields[c]));
+    cache = null;
+    return getResponder(info.lastInsertRowid);
+}
+
+/**
+ * Modifie un répondant (champs inconnus ignorés)
+ * @throws {Error} si une valeur a un type invalide
+ */
+function updateResponder(id, patch) {
+    const fields = validate(patch, true);
+    const cols = Object.keys(fields);
+    if (cols.length === 0) return getResponder(id);
+
+    const info = getDb().prepare(`
+        UPDATE responders SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = strftime('%s', 'now') WHERE id = ?
+    `).run(...cols.map(c => fields[c]), id);
+    cache = null;
+    if (info.changes === 0) return null;
+
+    return getResponder(id);
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupResponderEndpoints(app, requireAdmin) {
+    // GET /api/admin/responders - Liste (y compris inactifs)
+    app.get('/api/admin/responders', requireAdmin, (req, res) => {
+        try {
+            res.json({ responders: listResponders({ includeInactive: true }) });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/responders { name, jid, aliases, role }
+    app.post('/api/admin/responders', requireAdmin, (req, res) => {
+        let responder;
+        try {
+            responder = addResponder(req.body || {});
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        console.log(`👤 Répondant ajouté: ${responder.name} (Admin)`);
+        res.json({ success: true, responder });
+    });
+
+    // PUT /api/admin/responders/:id - Modifier (active: false pour retirer)
+    app.put('/api/admin/responders/:id', requireAdmin, (req, res) => {
+        let responder;
+        try {
+            responder = updateResponder(req.params.id, req.body || {});
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!responder) return res.status(404).json({ error: 'Répondant introuvable' });
+        console.log(`👤 Répondant ${responder.name} mis à jour (Admin)`);
+        res.json({ success: true, responder });
+    });
+
+    console.log('✅ Responder endpoints registered: /api/admin/responders');
+}
+
+module.exports = {
+    ensureRespondersTable,
+    listResponders,
+    getResponder,
+    findResponder,
+    isResponder,
+    responderName,
+    addResponder,
+    updateResponder,
+    setupResponderEndpoints
+};
@@ -0,0 +1,251 @@
+/**
+ * Alias des expéditeurs des exports WhatsApp
+ * - Un export ne contient que le nom affiché ("Alice", "~ Alice", "+972 54-...") : pas de JID
+ * - Un alias associe ce nom à un sender_jid connu (et un nom d'affichage), pour tous les groupes
+ *   ou pour un groupe donné, afin que l'historique importé rejoigne l'historique live
+ */
+
+require('dotenv').config();
+const Database = require('better-sqlite3');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureSenderAliasesTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS sender_aliases (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            alias TEXT NOT NULL,
+            alias_key TEXT NOT NULL,
+            group_name TEXT NOT NULL DEFAULT '', -- '' = tous les groupes
+            sender_jid TEXT,
+            display_name TEXT,
+            created_at INTEGER DEFAULT (strftime('%s', 'now')),
+            updated_at INTEGER DEFAULT (strftime('%s', 'now')),
+            UNIQUE (alias_key, group_name)
+        )
+    `);
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureSenderAliasesTable(db);
+    }
+    return db;
+}
+
+/**
+ * Clé de comparaison d'un nom d'export ("~ Alice" pour un non-contact sur iOS, marques de direction...)
+ */
+function aliasKey(name) {
+    return (name || '')
+        .normalize('NFKC')
+        .replace(/[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g, '')
+        .replace(/^~\s*/, '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .toLowerCase();
+}
+
+function toAlias(row) {
+    if (!row) return null;
+    return {
+        id: row.id,
+        alias: row.alias,
+        groupName: row.group_name || null,
+        senderJid: row.sender_jid || null,
+        displayName: row.display_name || null,
+        createdAt: row.created_at,
+        updatedAt: row.updated_at
+    };
+}
+
+// =============================================================================
+// ACCÈS
+// =============================================================================
+
+function listAliases({ groupName } = {}) {
+    const rows = groupName
+        ? getDb().prepare(`SELECT * FROM sender_aliases WHERE group_name IN ('', ?) ORDER BY alias`).all(groupName)
+        : getDb().prepare('SELECT * FROM sender_aliases ORDER BY group_name, alias').all();
+    return rows.map(toAlias);
+}
+
+function getAlias(id) {
+    return toAlias(getDb().prepare('SELECT * FROM sender_aliases WHERE id = ?').get(id));
+}
+
+/**
+ * Expéditeur connu pour un nom d'export
+ * 1) alias du groupe, 2) alias global, 3) même nom déjà vu en live dans ce groupe (avec JID)
+ * @returns {Object|null} { senderJid, displayName, source: 'alias'|'history' }
+ */
+function resolveSender(name, groupName = '') {
+    const database = getDb();
+    const key = aliasKey(name);
+    if (!key) return null;
+
+    const alias = database.prepare(`
+        SELECT * FROM sender_aliases WHERE alias_key = ? AND group_name IN ('', ?)
+        ORDER BY group_name = '' LIMIT 1
+    `).get(key, groupName || '');
+    if (alias) return { senderJid: alias.sender_jid || null, displayName: alias.display_name || null, source: 'alias' };
+
+    return senderFromHistory(database, name, groupName);
+}
+
+/**
+ * Même nom déjà vu en live dans ce groupe (avec JID), sans passer par la table des alias
+ * (aperçu d'import sur une base où elle n'existe pas encore)
+ */
+function senderFromHistory(database, name, groupName) {
+    if (!groupName || !aliasKey(name)) return null;
+    const seen = database.prepare(`
+        SELECT sender_jid FROM messages
+        WHERE group_name = ? AND sender_name = ? AND sender_jid IS NOT NULL AND sender_jid != ''
+        ORDER BY ts DESC LIMIT 1
+    `).get(groupName, name.replace(/^~\s*/, '').trim());
+    return seen ? { senderJid: seen.sender_jid, displayName: null, source: 'history' } : null;
+}
+
+// =============================================================================
+// MODIFICATIONS
+// =============================================================================
+
+function validate(data, partial) {
+    const out = {};
+    if (data.alias !== undefined || !partial) {
+        if (typeof data.alias !== 'string' || !aliasKey(data.alias)) throw new Error('alias doit être une chaîne non vide');
+        out.alias = data.alias.trim();
+        out.alias_key = aliasKey(data.alias);
+    }
+    if (data.groupName !== undefined) {
+        if (data.groupName !== null && typeof data.groupName !== 'string') throw new Error('groupName doit être une chaîne ou null');
+        out.group_name = (data.groupName || '').trim();
+    }
+    if (data.senderJid !== undefined) {
+        if (data.senderJid !== null && (typeof data.senderJid !== 'string' || !data.senderJid.includes('@'))) {
+            throw new Error('senderJid doit être un JID (ex: 972501234567@c.us) ou null');
+        }
+        out.sender_jid = data.senderJid ? data.senderJid.trim() : null;
+    }
+    if (data.displayName !== undefined) {
+        if (data.displayName !== null && typeof data.displayName !== 'string') throw new Error('displayName doit être une chaîne ou null');
+        out.display_name = data.displayName ? data.displayName.trim() : null;
+    }
+    if (!partial && !out.sender_jid && !out.display_name) throw new Error('senderJid ou displayName requis');
+    return out;
+}
+
+/**
+ * Ajoute un alias
+ * @throws {Error} si les données sont invalides ou si l'alias existe déjà pour ce groupe
+ */
+function addAlias(data) {
+    const fields = validate(data, false);
+    const cols = Object.keys(fields);
+    try {
+        const info = getDb().prepare(`
+            INSERT INTO sender_aliases (${cols.join(', ')}) VALUES (${cols.map(() => '?').join(', ')})
+        `).run(...cols.map(c => fields[c]));
+        return getAlias(info.lastInsertRowid);
+    } catch (e) {
+        if (e.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error(`Alias déjà défini: ${fields.alias}`);
+        throw e;
+    }
+}
+
+/**
+ * Modifie un alias (champs inconnus ignorés)
+ * @throws {Error} si une valeur a un type invalide
+ */
+function updateAlias(id, patch) {
+    const fields = validate(patch, true);
+    const cols = Object.keys(fields);
+    if (cols.length === 0) return getAlias(id);
+
+    let info;
+    try {
+        info = getDb().prepare(`
+            UPDATE sender_aliases SET ${cols.map(c => `${c} = ?`).join(', ')}, updated_at = strftime('%s', 'now') WHERE id = ?
+        `).run(...cols.map(c => fields[c]), id);
+    } catch (e) {
+        if (e.code === 'SQLITE_CONSTRAINT_UNIQUE') throw new Error(`Alias déjà défini: ${fields.alias || ''}`);
+        throw e;
+    }
+    if (info.changes === 0) return null;
+    return getAlias(id);
+}
+
+function deleteAlias(id) {
+    return getDb().prepare('DELETE FROM sender_aliases WHERE id = ?').run(id).changes > 0;
+}
+
+// =============================================================================
+// API ENDPOINTS (Admin)
+// =============================================================================
+
+function setupSenderAliasEndpoints(app, requireAdmin) {
+    // GET /api/admin/sender-aliases?group=Nom
+    app.get('/api/admin/sender-aliases', requireAdmin, (req, res) => {
+        try {
+            res.json({ aliases: listAliases({ groupName: req.query.group || null }) });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/sender-aliases { alias, senderJid, displayName, groupName }
+    app.post('/api/admin/sender-aliases', requireAdmin, (req, res) => {
+        let alias;
+        try {
+            alias = addAlias(req.body || {});
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        console.log(`🏷️ Alias ajouté: ${alias.alias} → ${alias.senderJid || alias.displayName} (Admin)`);
+        res.json({ success: true, alias });
+    });
+
+    // PUT /api/admin/sender-aliases/:id
+    app.put('/api/admin/sender-aliases/:id', requireAdmin, (req, res) => {
+        let alias;
+        try {
+            alias = updateAlias(req.params.id, req.body || {});
+        } catch (e) {
+            return res.status(400).json({ error: e.message });
+        }
+        if (!alias) return res.status(404).json({ error: 'Alias introuvable' });
+        res.json({ success: true, alias });
+    });
+
+    // DELETE /api/admin/sender-aliases/:id
+    app.delete('/api/admin/sender-aliases/:id', requireAdmin, (req, res) => {
+        try {
+            if (!deleteAlias(req.params.id)) return res.status(404).json({ error: 'Alias introuvable' });
+            res.json({ success: true });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    console.log('✅ Sender alias endpoints registered: /api/admin/sender-aliases');
+}
+
+module.exports = {
+    ensureSenderAliasesTable,
+    aliasKey,
+    listAliases,
+    resolveSender,
+    senderFromHistory,
+    addAlias,
+    updateAlias,
+    deleteAlias,
+    setupSenderAliasEndpoints
+};
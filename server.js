@@ -62,12 +62,16 @@ require('dotenv').config();
 const Database = require('better-sqlite3');
 
 // Import WhatsApp ZIP processor
-const { importWhatsAppZip } = require('./import_chat_zip');
+const { importWhatsAppZip, validateImportOptions } = require('./import_chat_zip');
+const { validateOverrides } = require('./whatsapp_export_parser');
 
 // Import RAG Search API
 // Import invalidateCache
 const { setupRAGEndpoints, invalidateCache } = require('./rag_api');
 
+// Registre des répondants (champ `responder` des résultats)
+const { responderName } = require('./responders');
+
 // ...
 
 
@@ -318,7 +322,7 @@ app.get('/api/search', async (req, res) => {
     let results = [];
     try {
         results = db.prepare(`
-            SELECT m.id, m.question_text, m.transcript_torah, m.audio_path, m.ts, m.group_name
+            SELECT m.id, m.question_text, m.transcript_torah, m.ocr_text, m.audio_path, m.ts, m.group_name, m.sender_name, m.sender_jid
             FROM messages_fts fts
             JOIN messages m ON fts.rowid = m.id
             WHERE messages_fts MATCH ?
@@ -329,13 +333,13 @@ app.get('/api/search', async (req, res) => {
     } catch {
         // Fallback LIKE search
         results = db.prepare(`
-            SELECT id, question_text, transcript_torah, audio_path, ts, group_name
+            SELECT id, question_text, transcript_torah, ocr_text, audio_path, ts, group_name, sender_name, sender_jid
             FROM messages
-            WHERE (question_text LIKE ? OR transcript_torah LIKE ?)
+            WHERE (question_text LIKE ? OR transcript_torah LIKE ? OR ocr_text LIKE ?)
             AND deleted_at IS NULL
             ORDER BY ts DESC
             LIMIT ? OFFSET ?
-        `).all(`%${q}%`, `%${q}%`, limit, offset);
+        `).all(`%${q}%`, `%${q}%`, `%${q}%`, limit, offset);
     }
 
     db.close();
@@ -348,7 +352,9 @@ app.get('/api/search', async (req, res) => {
             answer: r.transcript_torah || '',
             hasAudio: !!r.audio_path,
             audioUrl: getAudioUrl(r.audio_path),
-            date: r.ts ? new Date(r.ts * 1000).toISOString() : null
+            date: r.ts ? new Date(r.ts * 1000).toISOString() : null,
+            imageText: r.ocr_text || null,
+            responder: responderName(r)
         })),
         total: results.length
     });
@@ -370,7 +376,7 @@ app.get('/api/messages', (req, res) => {
 
     const total = db.prepare(`SELECT COUNT(*) as n FROM messages WHERE ${whereClause}`).get().n;
     const results = db.prepare(`
-        SELECT id, question_text, transcript_torah, audio_path, ts, group_name, sender_name
+        SELECT id, question_text, transcript_torah, audio_path, ts, group_name, sender_name, sender_jid
         FROM messages
         WHERE ${whereClause}
         ORDER BY ts DESC
@@ -388,7 +394,8 @@ app.get('/api/messages', (req, res) => {
             audioUrl: getAudioUrl(r.audio_path),
             date: r.ts ? new Date(r.ts * 1000).toISOString() : null,
             group: r.group_name || '',
-            sender: r.sender_name || ''
+            sender: r.sender_name || '',
+            responder: responderName(r)
         })),
         total,
         page: parseInt(page),
@@ -411,11 +418,14 @@ app.get('/api/messages/:id', (req, res) => {
         question: msg.question_text || '',
         answer: msg.transcript_torah || msg.transcript_raw || '',
         rawAnswer: msg.transcript_raw || '',
+        imageText: msg.ocr_text || null,
         hasAudio: !!msg.audio_path,
         audioUrl: getAudioUrl(msg.audio_path),
         date: msg.ts ? new Date(msg.ts * 1000).toISOString() : null,
         group: msg.group_name || '',
-        sender: msg.sender_name || ''
+        sender: msg.sender_name || '',
+        responder: responderName(msg),
+        threadId: msg.thread_id || null
     });
 });
 
@@ -688,28 +698,44 @@ app.get('/api/candidates/:id', (req, res) => {
 // =============================================================================
 
 // Import Redis Client
-const { redisCache } = require('./redis-client');
+const { redisCache, redisClient } = require('./redis-client');
 
-// Upload et import ZIP WhatsApp (Asynchrone + Persistant Redis)
-app.post('/api/upload', upload.single('file'), async (req, res) => {
-    if (!req.file) {
-        return res.status(400).json({ error: 'Aucun fichier reçu' });
-    }
+const {
+    createImportJob, getImportJob, saveCheckpoint, finishImportJob, markResumed, listUnfinishedImportJobs, activeImportFiles
+} = require('./import_jobs');
+const { finishBatch, transcriptionProgress } = require('./import_batches');
 
+// Lance l'import en arrière-plan : progression dans Redis, point de reprise dans SQLite (le ZIP est supprimé à la fin)
+async function startImportJob(filePath, originalName, importOptions) {
     const jobId = `job_${Date.now()}`;
-    console.log(`📦 Upload reçu: ${req.file.originalname} (Job ${jobId})`);
+    console.log(`📦 Import de ${originalName} (Job ${jobId})`);
+
+    const job = createImportJob({ id: jobId, filePath, originalName, options: importOptions });
+    await runImportJob(job);
+    return jobId;
+}
+
+// Exécute (ou reprend depuis son point de reprise) un job d'import
+async function runImportJob(job) {
+    const jobId = job.id;
+    const filePath = job.filePath;
+    const resumed = job.resumeCount > 0;
 
     // Initialiser Job dans Redis (TTL 24h)
     const initialJobState = {
         status: 'processing',
-        startTime: Date.now(),
-        file: req.file.originalname,
-        progress: { state: 'queued', message: 'Mise en file d\'attente...' }
+        startTime: job.createdAt * 1000,
+        file: job.originalName,
+        resumed,
+        resumedAt: job.resumedAt ? job.resumedAt * 1000 : null,
+        progress: resumed
+            ? { state: 'resuming', message: `Reprise après ${job.checkpoint} messages...`, processed: job.checkpoint }
+            : { state: 'queued', message: 'Mise en file d\'attente...' }
     };
     await redisCache.set(jobId, initialJobState, 86400); // 24h retention
 
     // Lancer en background
-    importWhatsAppZip(req.file.path, async (progress) => {
+    importWhatsAppZip(filePath, async (progress) => {
         // Mise à jour temps réel du Job dans Redis
         const currentJob = await redisCache.get(jobId);
         if (currentJob) {
@@ -717,26 +743,97 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
             currentJob.lastUpdate = Date.now();
             await redisCache.set(jobId, currentJob, 86400);
         }
+    }, {
+        ...job.options,
+        batchId: job.batchId || undefined,
+        startAt: job.checkpoint,
+        resumeStats: job.checkpointStats,
+        onCheckpoint: (checkpoint) => saveCheckpoint(jobId, checkpoint)
     })
         .then(async result => {
-            console.log(`✅ Job ${jobId} terminé: ${result.imported || 0} messages`);
+            console.log(`✅ Job ${jobId} terminé: ${result.imported || 0} messages, ${result.merged || 0} fusionnés avec le live, ${result.transcription_queued || 0} audios en file de transcription`);
+            finishImportJob(jobId, { status: 'completed', result });
             const currentJob = await redisCache.get(jobId) || initialJobState;
             currentJob.status = 'completed';
             currentJob.result = result;
             currentJob.completedAt = Date.now();
             await redisCache.set(jobId, currentJob, 86400);
 
-            fs.unlink(req.file.path, () => { }); // Cleanup
+            fs.unlink(filePath, () => { }); // Cleanup
         })
         .catch(async error => {
             console.error(`❌ Job ${jobId} erreur:`, error);
+            finishImportJob(jobId, { status: 'error', error: error.message });
             const currentJob = await redisCache.get(jobId) || initialJobState;
             currentJob.status = 'error';
             currentJob.error = error.message;
             await redisCache.set(jobId, currentJob, 86400);
 
-            fs.unlink(req.file.path, () => { }); // Cleanup
+            fs.unlink(filePath, () => { }); // Cleanup
         });
+}
+
+// Redis prêt, ou abandonné après ses tentatives (fallback mémoire) : la progression des imports y est écrite
+function whenRedisSettled() {
+    if (redisClient.status === 'ready' || redisClient.status === 'end') return Promise.resolve();
+    return new Promise(resolve => {
+        redisClient.once('ready', resolve);
+        redisClient.once('end', resolve);
+    });
+}
+
+// Reprise des imports interrompus par un redémarrage (crash, redéploiement Railway)
+async function resumeImportJobs() {
+    for (const job of listUnfinishedImportJobs()) {
+        if (!fs.existsSync(job.filePath)) {
+            const error = 'Fichier d\'import introuvable après redémarrage';
+            console.error(`❌ Import ${job.id} non repris: ${job.filePath} introuvable`);
+            finishImportJob(job.id, { status: 'error', error });
+            if (job.batchId) finishBatch(job.batchId, { status: 'failed', error });
+            continue;
+        }
+        console.log(`🔁 Reprise de l'import ${job.id} (${job.originalName}) après ${job.checkpoint} messages`);
+        await runImportJob(markResumed(job.id));
+    }
+}
+
+// Format de l'export (détecté automatiquement, surchargeable) + options d'archivage
+function importOptionsFrom(body, sourceName) {
+    let senderMap = body.senderMap;
+    if (typeof senderMap === 'string' && senderMap.trim()) senderMap = JSON.parse(senderMap);
+    const importOptions = {
+        dateOrder: body.dateOrder,
+        clock: body.clock,
+        platform: body.platform,
+        timezone: body.timezone,
+        groupName: body.groupName || undefined,
+        groupJid: body.groupJid || undefined,
+        senderMap: senderMap || undefined,
+        sttBackend: body.sttBackend || undefined,
+        sttModel: body.sttModel || undefined,
+        sourceName    // nom du ZIP d'origine : "WhatsApp Chat - Groupe.zip" donne le groupe
+    };
+    validateOverrides(importOptions);
+    validateImportOptions(importOptions);
+    return importOptions;
+}
+
+// Upload et import ZIP WhatsApp (Asynchrone + Persistant Redis)
+app.post('/api/upload', upload.single('file'), async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Aucun fichier reçu' });
+    }
+
+    let importOptions;
+    try {
+        importOptions = importOptionsFrom(req.body || {}, req.file.originalname);
+    } catch (e) {
+        fs.unlink(req.file.path, () => { });
+        return res.status(400).json({ error: e.message });
+    }
+
+    console.log(`📦 Upload reçu: ${req.file.originalname}`);
+    const jobId = await startImportJob(req.file.path, req.file.originalname, importOptions);
 
     // Répondre immédiatement
     res.json({
@@ -746,11 +843,118 @@ app.post('/api/upload', upload.single('file'), async (req, res) => {
     });
 });
 
-// Status Job Import (Lecture Redis)
+// Aperçu (simulation) : le ZIP reste dans uploads/ jusqu'à confirmation ou expiration
+const IMPORT_PREVIEW_TTL_MS = 24 * 60 * 60 * 1000;
+
+function previewPath(previewId) {
+    // previewId = nom du fichier dans uploads/ (pas de chemin)
+    if (!previewId || path.basename(previewId) !== previewId || !previewId.startsWith('whatsapp_')) return null;
+    const filePath = path.join(UPLOAD_DIR, previewId);
+    return fs.existsSync(filePath) ? filePath : null;
+}
+
+function cleanupExpiredPreviews() {
+    const inUse = activeImportFiles();   // import en cours (ou à reprendre) depuis ce fichier
+    for (const name of fs.readdirSync(UPLOAD_DIR)) {
+        const filePath = path.join(UPLOAD_DIR, name);
+        if (inUse.has(filePath)) continue;
+        if (name.startsWith('whatsapp_') && Date.now() - fs.statSync(filePath).mtimeMs > IMPORT_PREVIEW_TTL_MS) {
+            fs.unlink(filePath, () => { });
+        }
+    }
+}
+
+// POST /api/admin/import/preview (multipart: file, dateOrder, clock, timezone, groupName, senderMap)
+app.post('/api/admin/import/preview', requireAdmin, upload.single('file'), async (req, res) => {
+    if (!req.file) return res.status(400).json({ error: 'Aucun fichier reçu' });
+
+    let importOptions;
+    try {
+        importOptions = importOptionsFrom(req.body || {}, req.file.originalname);
+    } catch (e) {
+        fs.unlink(req.file.path, () => { });
+        return res.status(400).json({ error: e.message });
+    }
+
+    try {
+        cleanupExpiredPreviews();
+        const result = await importWhatsAppZip(req.file.path, undefined, { ...importOptions, dryRun: true });
+        if (!result.success) {
+            fs.unlink(req.file.path, () => { });
+            return res.status(400).json({ error: result.error });
+        }
+        res.json({
+            previewId: req.file.filename,
+            file: req.file.originalname,
+            format: result.format,
+            group: { name: result.groupName, jid: result.groupJid, source: result.groupSource },
+            dateRange: result.dateRange,
+            senders: result.senders,
+            newMessages: result.imported,
+            duplicates: result.skipped_dup,
+            alreadyLive: result.merged,
+            repairable: result.repaired,
+            audio: { linked: result.audio_linked, missing: result.audio_missing },
+            media: { linked: result.media_linked, missing: result.media_missing },
+            missingFiles: result.missingFiles,
+            expiresAt: Date.now() + IMPORT_PREVIEW_TTL_MS
+        });
+    } catch (e) {
+        fs.unlink(req.file.path, () => { });
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// POST /api/admin/import/preview/:previewId/confirm { groupName, senderMap, dateOrder, ... }
+app.post('/api/admin/import/preview/:previewId/confirm', requireAdmin, async (req, res) => {
+    const filePath = previewPath(req.params.previewId);
+    if (!filePath) return res.status(404).json({ error: 'Aperçu introuvable ou expiré' });
+
+    let importOptions;
+    try {
+        importOptions = importOptionsFrom(req.body || {}, req.params.previewId.replace(/^whatsapp_\d+_/, ''));
+    } catch (e) {
+        return res.status(400).json({ error: e.message });
+    }
+
+    try {
+        const jobId = await startImportJob(filePath, req.params.previewId, importOptions);
+        console.log(`✅ Import confirmé: ${req.params.previewId} → ${importOptions.groupName || importOptions.groupJid || 'groupe de l\'export'} (Admin)`);
+        res.json({ success: true, jobId });
+    } catch (e) {
+        res.status(500).json({ error: e.message });
+    }
+});
+
+// DELETE /api/admin/import/preview/:previewId - Abandon de l'aperçu
+app.delete('/api/admin/import/preview/:previewId', requireAdmin, (req, res) => {
+    const filePath = previewPath(req.params.previewId);
+    if (!filePath) return res.status(404).json({ error: 'Aperçu introuvable ou expiré' });
+    fs.unlink(filePath, () => { });
+    res.json({ success: true });
+});
+
+// Status Job Import (Lecture Redis, SQLite si Redis a perdu le job)
 app.get('/api/upload/status/:jobId', async (req, res) => {
     try {
-        const job = await redisCache.get(req.params.jobId);
+        const stored = getImportJob(req.params.jobId);
+        const job = await redisCache.get(req.params.jobId) || (stored && {
+            status: stored.status,
+            startTime: stored.createdAt * 1000,
+            file: stored.originalName,
+            progress: { state: stored.status, processed: stored.checkpoint },
+            result: stored.result,
+            error: stored.error
+        });
         if (!job) return res.status(404).json({ error: 'Job non trouvé ou expiré' });
+        if (stored) {
+            job.resumed = stored.resumeCount > 0;
+            job.resumeCount = stored.resumeCount;
+            job.resumedAt = stored.resumedAt ? stored.resumedAt * 1000 : null;
+            job.checkpoint = stored.checkpoint;
+            // Transcriptions des audios importés : suivies à part, elles continuent après la fin de l'import
+            job.transcription = stored.batchId ? transcriptionProgress(stored.batchId) : null;
+        }
         res.json(job);
     } catch (e) {
         res.status(500).json({ error: 'Erreur lecture Redis' });
@@ -771,6 +975,66 @@ app.get('/api/upload/status', (req, res) => {
 const { setupFeedbackEndpoints } = require('./feedback_system');
 setupFeedbackEndpoints(app, invalidateCache);
 
+// =============================================================================
+// GROUPES WHATSAPP (Config par JID)
+// =============================================================================
+
+const { setupGroupEndpoints } = require('./groups');
+setupGroupEndpoints(app, requireAdmin);
+
+// =============================================================================
+// RÉPONDANTS (Rabbanim / assistants)
+// =============================================================================
+
+const { setupResponderEndpoints } = require('./responders');
+setupResponderEndpoints(app, requireAdmin);
+
+// =============================================================================
+// SUGGESTIONS AUTOMATIQUES (questions récurrentes, validation modérateur)
+// =============================================================================
+
+const { setupAutoSuggestEndpoints } = require('./auto_suggest');
+setupAutoSuggestEndpoints(app, requireAdmin);
+
+// =============================================================================
+// FILS DE CONVERSATION (Question + relances + réponses)
+// =============================================================================
+
+const { setupThreadEndpoints } = require('./threads');
+setupThreadEndpoints(app, requireAdmin);
+
+// =============================================================================
+// LOTS D'IMPORT (Historique, annulation)
+// =============================================================================
+
+const { setupImportBatchEndpoints } = require('./import_batches');
+setupImportBatchEndpoints(app, requireAdmin);
+
+// =============================================================================
+// ALIAS EXPÉDITEURS (Imports d'exports WhatsApp → JID)
+// =============================================================================
+
+const { setupSenderAliasEndpoints } = require('./sender_aliases');
+setupSenderAliasEndpoints(app, requireAdmin);
+
+// =============================================================================
+// BOT WHATSAPP (État, QR code, reconnexion)
+// =============================================================================
+
+const { setupBotEndpoints } = require('./bot_status');
+setupBotEndpoints(app, requireAdmin);
+
+// =============================================================================
+// PIPELINE D'INGESTION (Jobs persistants SQLite)
+// =============================================================================
+
+const { setupJobEndpoints } = require('./job_queue');
+setupJobEndpoints(app, requireAdmin);
+
+// Catch-up / Backfill par groupe (nécessite le bot actif)
+const { setupBackfillEndpoints } = require('./catchup');
+setupBackfillEndpoints(app, requireAdmin);
+
 // =============================================================================
 // RAG SEMANTIC SEARCH (Qdrant + OpenAI Embeddings)
 // =============================================================================
@@ -816,6 +1080,15 @@ app.listen(PORT, () => {
     console.log(`📍 http://localhost:${PORT}`);
     console.log(`📂 Database: ${DB_PATH}`);
     console.log(`🧠 RAG Search: http://localhost:${PORT}/api/rag-search\n`);
+
+    // Worker du pipeline, toujours démarré : la transcription peut passer par whisper local,
+    // et sans OPENAI_API_KEY seules les étapes de correction / Torah échouent, job par job
+    require('./audio_pipeline').startPipelineWorker();
+
+    // Reprise des imports interrompus : serveur à l'écoute et Redis connecté (ou abandonné)
+    whenRedisSettled()
+        .then(resumeImportJobs)
+        .catch(e => console.error('❌ Reprise des imports:', e.message));
 });
 
 module.exports = app;
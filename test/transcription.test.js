@@ -0,0 +1,78 @@
+/**
+ * Service de transcription avec le moteur 'fake' (sans réseau ni clé OpenAI)
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { transcribeRaw, transcribeAudio, resolveStt, modelLabel, hasSttBackend } = require('../transcription');
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'stt-test-'));
+const audio = path.join(dir, 'question.ogg');
+fs.writeFileSync(audio, 'pas vraiment de l\'opus');
+const digest = crypto.createHash('sha256').update(fs.readFileSync(audio)).digest('hex').slice(0, 12);
+
+test.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('fake: transcription déterministe dérivée du fichier', async () => {
+    assert.equal(hasSttBackend('fake'), true);
+    const first = await transcribeRaw(audio, { backend: 'fake' });
+    const second = await transcribeRaw(audio, { backend: 'fake' });
+    assert.deepEqual(first, {
+        text: `Transcription fake de question.ogg (${digest})`,
+        language: 'fr',
+        backend: 'fake',
+        model: 'fake'
+    });
+    assert.deepEqual(second, first);
+});
+
+test('fake: la langue imposée est reprise', async () => {
+    const res = await transcribeRaw(audio, { backend: 'fake', language: 'he' });
+    assert.equal(res.language, 'he');
+});
+
+test('transcribeRaw: moteur inconnu ou fichier absent', async () => {
+    await assert.rejects(transcribeRaw(audio, { backend: 'inexistant' }), /Moteur de transcription inconnu/);
+    await assert.rejects(transcribeRaw(path.join(dir, 'absent.ogg'), { backend: 'fake' }), /Audio introuvable/);
+});
+
+test('transcribeAudio: français détecté gardé tel quel', async () => {
+    const res = await transcribeAudio(audio, { backend: 'fake' });
+    assert.equal(res.text, `Transcription fake de question.ogg (${digest})`);
+    assert.equal(res.policy, 'detected:fr');
+    assert.equal(modelLabel(res), 'fake/fake');
+});
+
+test('transcribeAudio: français imposé par le groupe', async () => {
+    const res = await transcribeAudio(audio, { backend: 'fake', language: 'fr' });
+    assert.equal(res.policy, 'forced:fr');
+});
+
+test('transcribeAudio: sans traduction possible, nouvelle transcription en français', async () => {
+    const key = process.env.OPENAI_API_KEY;
+    delete process.env.OPENAI_API_KEY;
+    try {
+        const res = await transcribeAudio(audio, { backend: 'fake', language: 'he' });
+        assert.equal(res.policy, 'retranscribed:fr');
+        assert.equal(res.language, 'he');
+        assert.equal(res.text, `Transcription fake de question.ogg (${digest})`);
+    } finally {
+        if (key !== undefined) process.env.OPENAI_API_KEY = key;
+    }
+});
+
+test('resolveStt: job, puis groupe, puis environnement', () => {
+    assert.deepEqual(
+        resolveStt({ group: { sttBackend: 'local', sttModel: 'base' }, payload: { sttBackend: 'fake' } }),
+        { backend: 'fake', model: null }
+    );
+    assert.deepEqual(
+        resolveStt({ group: { sttBackend: 'fake', sttModel: 'fake' } }),
+        { backend: 'fake', model: 'fake' }
+    );
+});
@@ -0,0 +1,134 @@
+/**
+ * Transport replay : rejeu d'un enregistrement messages.jsonl sans WhatsApp
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createReplayTransport } = require('../wa_transport');
+
+const GROUP = { id: '1@g.us', name: 'Groupe Test', isGroup: true };
+
+function writeRecording(records, media = {}) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    fs.writeFileSync(path.join(dir, 'messages.jsonl'), records.map(r => JSON.stringify(r)).join('\n') + '\n');
+    fs.mkdirSync(path.join(dir, 'media'));
+    for (const [file, content] of Object.entries(media)) fs.writeFileSync(path.join(dir, 'media', file), content);
+    return dir;
+}
+
+const message = (n, extra = {}) => ({
+    id: `false_1@g.us_M${n}_2@lid`,
+    chat: GROUP,
+    type: 'chat',
+    body: `Message ${n}`,
+    timestamp: 1700000000 + n * 100,
+    author: '2@lid',
+    notifyName: 'Alice',
+    ...extra
+});
+
+const dirs = [];
+function recording(records, media) {
+    const dir = writeRecording(records, media);
+    dirs.push(dir);
+    return dir;
+}
+
+test.after(() => {
+    for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+
+// Le transport journalise chaque envoi et le début/fin du rejeu
+test.beforeEach((t) => t.mock.method(console, 'log', () => { }));
+
+test('live: messages et événements émis dans l\'ordre chronologique', async () => {
+    const dir = recording([
+        message(2),
+        message(1),
+        { event: 'message_edit', id: message(1).id, newBody: 'Corrigé', prevBody: 'Message 1', timestamp: 1700000150 },
+        { event: 'message_reaction', id: message(2).id, reaction: '👍', senderId: '3@lid', timestamp: 1700000250 },
+        { event: 'message_revoke_everyone', id: message(2).id, timestamp: 1700000300 }
+    ]);
+    const transport = createReplayTransport(dir);
+    const seen = [];
+    transport.on('ready', () => seen.push('ready'));
+    transport.on('message', (m) => seen.push(`message ${m.id._serialized}`));
+    transport.on('message_edit', (m, newBody, prevBody) => seen.push(`edit ${newBody} <- ${prevBody}`));
+    transport.on('message_reaction', (r) => seen.push(`reaction ${r.reaction} ${r.msgId._serialized} ${r.senderId}`));
+    transport.on('message_revoke_everyone', (after, before) => seen.push(`revoke ${after.type} ${before.body}`));
+
+    await transport.initialize();
+
+    assert.deepEqual(seen, [
+        'ready',
+        `message ${message(1).id}`,
+        'edit Corrigé <- Message 1',
+        `message ${message(2).id}`,
+        `reaction 👍 ${message(2).id} 3@lid`,
+        'revoke revoked Message 2'
+    ]);
+    assert.equal((await transport.getMessageById(message(1).id)).body, 'Corrigé');
+});
+
+test('catchup: rien n\'est émis, l\'historique se lit page par page', async () => {
+    const dir = recording([1, 2, 3, 4, 5].map(n => message(n)));
+    const transport = createReplayTransport(dir, { mode: 'catchup' });
+    let emitted = 0;
+    transport.on('message', () => emitted++);
+
+    await transport.initialize();
+    assert.equal(emitted, 0);
+
+    const [chat] = await transport.getChats();
+    assert.equal(chat.id._serialized, GROUP.id);
+    assert.equal(chat.name, GROUP.name);
+
+    const latest = await transport.fetchMessagesBefore(chat, { limit: 2 });
+    assert.deepEqual(latest.map(m => m.body), ['Message 4', 'Message 5']);
+
+    const older = await transport.fetchMessagesBefore(chat, { limit: 2, before: latest[0].id._serialized });
+    assert.deepEqual(older.map(m => m.body), ['Message 2', 'Message 3']);
+
+    const oldest = await transport.fetchMessagesBefore(chat, { limit: 2, before: older[0].id._serialized });
+    assert.deepEqual(oldest.map(m => m.body), ['Message 1']);
+});
+
+test('médias, citations et envois enregistrés', async () => {
+    const dir = recording([
+        message(1),
+        message(2, {
+            type: 'ptt', body: '', duration: 12, quotedMsgId: message(1).id,
+            media: { mimetype: 'audio/ogg; codecs=opus', file: 'M2.ogg' }
+        }),
+        message(3, { type: 'image', media: { mimetype: 'image/jpeg', file: 'absent.jpg' } })
+    ], { 'M2.ogg': 'audio' });
+    const transport = createReplayTransport(dir, { mode: 'catchup' });
+
+    const voice = await transport.getMessageById(message(2).id);
+    assert.equal(voice.hasMedia, true);
+    assert.equal(voice._data.duration, 12);
+    assert.equal((await transport.getQuotedMessage(voice)).body, 'Message 1');
+
+    const media = await transport.downloadMedia(voice);
+    assert.equal(media.mimetype, 'audio/ogg; codecs=opus');
+    assert.equal(Buffer.from(media.data, 'base64').toString(), 'audio');
+    assert.equal(await transport.downloadMedia(await transport.getMessageById(message(3).id)), null);
+
+    await transport.reply(voice, 'Réponse');
+    assert.equal(transport.sent.length, 1);
+    assert.equal(transport.sent[0].chatId, GROUP.id);
+    assert.equal(transport.sent[0].options.quotedMessageId, message(2).id);
+});
+
+test('enregistrement absent ou ligne invalide', () => {
+    const empty = fs.mkdtempSync(path.join(os.tmpdir(), 'replay-test-'));
+    dirs.push(empty);
+    assert.throws(() => createReplayTransport(empty), /Enregistrement introuvable/);
+
+    fs.writeFileSync(path.join(empty, 'messages.jsonl'), `${JSON.stringify(message(1))}\n{pas du json\n`);
+    assert.throws(() => createReplayTransport(empty), /ligne 2 invalide/);
+});
@@ -0,0 +1,176 @@
+/**
+ * Parseur d'exports : détection du format (plateforme, ordre de la date, AM/PM)
+ * et conversion des heures murales dans le fuseau de l'import
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+    detectFormat,
+    validateOverrides,
+    parseWhatsAppLine,
+    parseExportMessages,
+    zonedTimeToUnix
+} = require('../whatsapp_export_parser');
+
+const iso = (unix) => new Date(unix * 1000).toISOString();
+const wall = (year, month, day, hour, minute = 30, second = 0) => ({ year, month, day, hour, minute, second });
+
+// =============================================================================
+// DÉTECTION
+// =============================================================================
+
+test('detectFormat: export iOS 24h en JJ/MM', () => {
+    const format = detectFormat([
+        '[31/12/2023, 14:05:09] Alice: Bonjour',
+        '[01/01/2024, 09:00:00] Bob: Bonne année'
+    ], { timezone: 'Europe/Paris' });
+    assert.equal(format.platform, 'ios');
+    assert.equal(format.dateOrder, 'DMY');
+    assert.equal(format.clock, '24h');
+    assert.equal(format.timezone, 'Europe/Paris');
+    assert.equal(format.detected, true);
+    assert.equal(format.sampled, 2);
+});
+
+test('detectFormat: export Android', () => {
+    const format = detectFormat(['31/12/2023, 14:05 - Alice: Bonjour']);
+    assert.equal(format.platform, 'android');
+    assert.equal(format.dateOrder, 'DMY');
+});
+
+test('detectFormat: AM/PM avec espace insécable U+202F (iOS)', () => {
+    const format = detectFormat(['[2/1/24, 9:05:01\u202FPM] Bob: hi']);
+    assert.equal(format.clock, '12h');
+    assert.equal(format.platform, 'ios');
+});
+
+test('detectFormat: un deuxième champ > 12 impose MM/JJ', () => {
+    const format = detectFormat([
+        '01/02/2024, 21:05 - Bob: hi',
+        '02/13/2024, 09:05 - Alice: ok'
+    ]);
+    assert.equal(format.dateOrder, 'MDY');
+});
+
+test('detectFormat: un premier champ > 12 impose JJ/MM, même en 12h', () => {
+    const format = detectFormat(['13/02/2024, 9:05 PM - Bob: hi']);
+    assert.equal(format.dateOrder, 'DMY');
+    assert.equal(format.clock, '12h');
+});
+
+test('detectFormat: dates ambiguës départagées par la chronologie', () => {
+    // Tous les champs ≤ 12 : seul l'ordre retenu donne des dates croissantes
+    const dmy = detectFormat([
+        '10/01/2024, 09:00 - A: x',
+        '11/01/2024, 09:00 - A: x',
+        '02/02/2024, 09:00 - A: x'
+    ]);
+    assert.equal(dmy.dateOrder, 'DMY');
+
+    const mdy = detectFormat([
+        '01/10/2024, 09:00 - A: x',
+        '01/11/2024, 09:00 - A: x',
+        '02/02/2024, 09:00 - A: x'
+    ]);
+    assert.equal(mdy.dateOrder, 'MDY');
+});
+
+test('detectFormat: chronologie sans départage, AM/PM désigne un export américain', () => {
+    const format = detectFormat(['[1/2/24, 9:05:01 PM] Bob: hi']);
+    assert.equal(format.dateOrder, 'MDY');
+    assert.equal(format.clock, '12h');
+});
+
+test('detectFormat: année en premier → AAAA-MM-JJ', () => {
+    const format = detectFormat(['2024-02-01, 09:05 - Bob: hi']);
+    assert.equal(format.dateOrder, 'YMD');
+});
+
+test('detectFormat: les surcharges de la requête priment sur la détection', () => {
+    const format = detectFormat(['01/02/2024, 21:05 - Bob: hi'], { dateOrder: 'mdy', clock: '24H' });
+    assert.equal(format.dateOrder, 'MDY');
+    assert.equal(format.clock, '24h');
+    assert.equal(format.detected, false);
+});
+
+test('validateOverrides: valeurs inconnues refusées', () => {
+    assert.throws(() => validateOverrides({ dateOrder: 'XYZ' }), /dateOrder/);
+    assert.throws(() => validateOverrides({ clock: '36h' }), /clock/);
+    assert.throws(() => validateOverrides({ timezone: 'Mars/Olympus' }), /Fuseau horaire inconnu/);
+});
+
+// =============================================================================
+// FUSEAU HORAIRE
+// =============================================================================
+
+test('zonedTimeToUnix: heure d\'hiver et heure d\'été à Paris', () => {
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 1, 15, 12), 'Europe/Paris')), '2024-01-15T11:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 7, 15, 12), 'Europe/Paris')), '2024-07-15T10:30:00.000Z');
+});
+
+test('zonedTimeToUnix: passage à l\'heure d\'été (l\'heure sautée est décalée d\'une heure)', () => {
+    // 31/03/2024 : 02:00 → 03:00 à Paris
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 31, 1), 'Europe/Paris')), '2024-03-31T00:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 31, 2), 'Europe/Paris')), '2024-03-31T01:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 31, 3), 'Europe/Paris')), '2024-03-31T01:30:00.000Z');
+});
+
+test('zonedTimeToUnix: retour à l\'heure d\'hiver (l\'heure répétée est prise en heure d\'hiver)', () => {
+    // 27/10/2024 : 03:00 → 02:00 à Paris
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 10, 27, 1), 'Europe/Paris')), '2024-10-26T23:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 10, 27, 2), 'Europe/Paris')), '2024-10-27T01:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 10, 27, 3), 'Europe/Paris')), '2024-10-27T02:30:00.000Z');
+});
+
+test('zonedTimeToUnix: Jérusalem change d\'heure un autre jour que Paris', () => {
+    // 29/03/2024 : passage à l'heure d'été en Israël (UTC+2 → UTC+3), Paris encore en UTC+1
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 29, 12), 'Asia/Jerusalem')), '2024-03-29T09:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 28, 12), 'Asia/Jerusalem')), '2024-03-28T10:30:00.000Z');
+    assert.equal(iso(zonedTimeToUnix(wall(2024, 3, 29, 12), 'Europe/Paris')), '2024-03-29T11:30:00.000Z');
+});
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+test('parseWhatsAppLine: 12h, minuit et midi', () => {
+    const format = { dateOrder: 'MDY', clock: '12h', timezone: 'UTC' };
+    assert.equal(iso(parseWhatsAppLine('[1/2/24, 12:05:00 AM] Bob: a', format).timestamp), '2024-01-02T00:05:00.000Z');
+    assert.equal(iso(parseWhatsAppLine('[1/2/24, 12:05:00 PM] Bob: a', format).timestamp), '2024-01-02T12:05:00.000Z');
+    assert.equal(iso(parseWhatsAppLine('[1/2/24, 9:05:00 PM] Bob: a', format).timestamp), '2024-01-02T21:05:00.000Z');
+    assert.equal(parseWhatsAppLine('[1/2/24, 13:05:00 PM] Bob: a', format), null);
+});
+
+test('parseWhatsAppLine: l\'ordre de la date détecté change le jour lu', () => {
+    const line = '03/04/2024, 10:00 - Alice: Question';
+    const dmy = parseWhatsAppLine(line, { dateOrder: 'DMY', clock: '24h', timezone: 'UTC' });
+    const mdy = parseWhatsAppLine(line, { dateOrder: 'MDY', clock: '24h', timezone: 'UTC' });
+    assert.equal(iso(dmy.timestamp), '2024-04-03T10:00:00.000Z');
+    assert.equal(iso(mdy.timestamp), '2024-03-04T10:00:00.000Z');
+    assert.equal(dmy.sender, 'Alice');
+    assert.equal(dmy.message, 'Question');
+});
+
+test('parseWhatsAppLine: message système et ligne de continuation ignorés', () => {
+    const format = { dateOrder: 'DMY', clock: '24h', timezone: 'UTC' };
+    assert.equal(parseWhatsAppLine('31/12/2023, 14:05 - Alice a ajouté Bob', format), null);
+    assert.equal(parseWhatsAppLine('suite du message', format), null);
+});
+
+test('parseExportMessages: les lignes sans en-tête prolongent le message précédent', () => {
+    const lines = [
+        '31/12/2023, 14:05 - Alice: Première ligne',
+        'deuxième ligne',
+        '31/12/2023, 14:06 - Alice a ajouté Bob',
+        'ligne orpheline',
+        '31/12/2023, 14:07 - Bob: Réponse'
+    ];
+    const messages = parseExportMessages(lines, { dateOrder: 'DMY', clock: '24h', timezone: 'UTC' });
+    assert.equal(messages.length, 2);
+    assert.equal(messages[0].message, 'Première ligne\ndeuxième ligne');
+    assert.equal(messages[0].firstLine, 'Première ligne');
+    assert.equal(messages[1].sender, 'Bob');
+    assert.equal(messages[1].lineNo, 5);
+});
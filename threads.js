@@ -0,0 +1,321 @@
+/**
+ * Reconstruction des fils de conversation dans les groupes
+ * - Une question, ses relances ("et si c'est après la chkia ?") et les réponses du Rav forment un fil
+ * - Rattachement par ordre de priorité : réponse citée / liaison question↔réponse,
+ *   même demandeur dans le délai, répondant dans le délai ; sinon nouveau fil
+ *
+ * Usage CLI (reconstruction complète) : node threads.js [--group "Nom du groupe"]
+ */
+
+require('dotenv').config();
+const path = require('path');
+const Database = require('better-sqlite3');
+const { findResponder, responderName } = require('./responders');
+
+const DB_PATH = process.env.DB_PATH || './ravqa.db';
+const THREAD_GAP_SEC = (parseInt(process.env.THREAD_GAP_MINUTES, 10) || 30) * 60;
+
+let db = null;
+
+// =============================================================================
+// SCHEMA
+// =============================================================================
+
+function ensureThreadsTable(database) {
+    database.exec(`
+        CREATE TABLE IF NOT EXISTS threads (
+            id INTEGER PRIMARY KEY AUTOINCREMENT,
+            group_name TEXT,
+            root_message_id INTEGER,
+            asker_jid TEXT,
+            asker_name TEXT,
+            started_at INTEGER,
+            last_ts INTEGER,
+            message_count INTEGER DEFAULT 0,
+            answer_count INTEGER DEFAULT 0,
+            updated_at INTEGER DEFAULT (strftime('%s', 'now'))
+        )
+    `);
+    database.exec(`CREATE INDEX IF NOT EXISTS idx_threads_group_last ON threads(group_name, last_ts)`);
+
+    const cols = database.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+    if (cols.length > 0 && !cols.includes('thread_id')) {
+        database.exec('ALTER TABLE messages ADD COLUMN thread_id INTEGER');
+    }
+    if (cols.length > 0) database.exec('CREATE INDEX IF NOT EXISTS idx_messages_thread ON messages(thread_id, ts)');
+}
+
+function getDb() {
+    if (!db) {
+        db = new Database(DB_PATH);
+        ensureThreadsTable(db);
+        // Table responders (autre connexion) créée maintenant, pas pendant une de nos transactions d'écriture
+        findResponder({});
+    }
+    return db;
+}
+
+function isResponderRow(row) {
+    return !!findResponder({ jid: row.sender_jid, name: row.sender_name });
+}
+
+// =============================================================================
+// RATTACHEMENT
+// =============================================================================
+
+/**
+ * Fil du message référencé (wa_message_id, ou id numérique pour les anciens link_question_id)
+ */
+function threadOfRef(database, groupName, ref) {
+    if (!ref) return null;
+    const row = database.prepare(`
+        SELECT thread_id FROM messages
+        WHERE (wa_message_id = ? OR id = ?) AND group_name = ? AND thread_id IS NOT NULL
+        LIMIT 1
+    `).get(String(ref), ref, groupName);
+    return row ? row.thread_id : null;
+}
+
+/**
+ * Choisit le fil d'un message (null → nouveau fil)
+ */
+function findParentThread(database, row) {
+    // 1) Lien explicite : message cité, question liée par le matcher ou par le processeur
+    const refs = [row.replied_to_message_id, row.link_question_id];
+    if (row.question_message_id && row.question_message_id !== row.wa_message_id) refs.push(row.question_message_id);
+    for (const ref of refs) {
+        const threadId = threadOfRef(database, row.group_name, ref);
+        if (threadId) return threadId;
+    }
+
+    const since = row.ts - THREAD_GAP_SEC;
+
+    // 2) Répondant sans lien : fil le plus récent du groupe
+    if (isResponderRow(row)) {
+        const recent = database.prepare(`
+            SELECT id FROM threads WHERE group_name = ? AND last_ts BETWEEN ? AND ?
+            ORDER BY last_ts DESC LIMIT 1
+        `).get(row.group_name, since, row.ts);
+        return recent ? recent.id : null;
+    }
+
+    // 3) Relance du même demandeur
+    const sameAsker = database.prepare(`
+        SELECT id FROM threads
+        WHERE group_name = ? AND last_ts BETWEEN ? AND ?
+          AND ((? IS NOT NULL AND asker_jid = ?) OR (? IS NULL AND asker_name = ?))
+        ORDER BY last_ts DESC LIMIT 1
+    `).get(row.group_name, since, row.ts, row.sender_jid, row.sender_jid, row.sender_jid, row.sender_name);
+    return sameAsker ? sameAsker.id : null;
+}
+
+/**
+ * Recalcule les compteurs d'un fil (supprimé s'il n'a plus de message)
+ */
+function refreshThread(database, threadId) {
+    const messages = database.prepare(`
+        SELECT id, sender_jid, sender_name, ts FROM messages WHERE thread_id = ? AND deleted_at IS NULL ORDER BY ts, id
+    `).all(threadId);
+    const total = database.prepare('SELECT COUNT(*) AS n FROM messages WHERE thread_id = ?').get(threadId).n;
+    if (total === 0) {
+        database.prepare('DELETE FROM threads WHERE id = ?').run(threadId);
+        return;
+    }
+    database.prepare(`
+        UPDATE threads SET root_message_id = COALESCE(?, root_message_id), message_count = ?, answer_count = ?,
+               started_at = COALESCE(?, started_at), last_ts = COALESCE(?, last_ts), updated_at = strftime('%s', 'now')
+        WHERE id = ?
+    `).run(
+        messages.length ? messages[0].id : null,
+        messages.length,
+        messages.filter(isResponderRow).length,
+        messages.length ? messages[0].ts : null,
+        messages.length ? messages[messages.length - 1].ts : null,
+        threadId
+    );
+}
+
+/**
+ * Recalcule des fils après suppression de messages (rollback d'un import)
+ */
+function refreshThreads(threadIds) {
+    const database = getDb();
+    database.transaction(() => {
+        for (const threadId of threadIds) refreshThread(database, threadId);
+    })();
+}
+
+/**
+ * Rattache une ligne messages à un fil, dans la transaction de l'appelant
+ * @returns {number} id du fil
+ */
+function attachRow(database, row) {
+    const parent = findParentThread(database, row);
+    if (parent && parent === row.thread_id) return parent;
+    // Sans nouveau lien, un message déjà rattaché garde son fil
+    if (row.thread_id && !parent) return row.thread_id;
+
+    let threadId = parent;
+    if (!threadId) {
+        threadId = database.prepare(`
+            INSERT INTO threads (group_name, root_message_id, asker_jid, asker_name, started_at, last_ts)
+            VALUES (?, ?, ?, ?, ?, ?)
+        `).run(row.group_name, row.id, row.sender_jid || null, row.sender_name || null, row.ts, row.ts).lastInsertRowid;
+    }
+
+    database.prepare('UPDATE messages SET thread_id = ? WHERE id = ?').run(threadId, row.id);
+    refreshThread(database, threadId);
+    if (row.thread_id) refreshThread(database, row.thread_id);
+    return Number(threadId);
+}
+
+/**
+ * Rattache un message à un fil (ou en crée un)
+ * @param {string} waId
+ * @param {Object} options { reassign: true } pour réévaluer un message déjà rattaché (après liaison)
+ * @returns {number|null} id du fil
+ */
+function assignThread(waId, { reassign = false } = {}) {
+    const database = getDb();
+    const row = database.prepare('SELECT * FROM messages WHERE wa_message_id = ?').get(waId);
+    if (!row || !row.group_name || !row.ts) return null;
+    if (row.thread_id && !reassign) return row.thread_id;
+
+    return database.transaction(() => attachRow(database, row))();
+}
+
+/**
+ * Reconstruit tous les fils (d'un groupe ou de toute la base) dans l'ordre chronologique
+ * @returns {Object} { messages, threads }
+ */
+function rebuildThreads({ groupName = null } = {}) {
+    const database = getDb();
+    const where = groupName ? 'WHERE group_name = ?' : '';
+    const params = groupName ? [groupName] : [];
+    // Colonnes lues par findParentThread / attachRow (link_question_id n'existe pas sur toutes les bases)
+    const messageCols = database.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+    const cols = ['id', 'wa_message_id', 'group_name', 'ts', 'sender_jid', 'sender_name', 'thread_id',
+        'replied_to_message_id', 'question_message_id', 'link_question_id'].filter(c => messageCols.includes(c));
+
+    // Une seule transaction : ni groupe à moitié rattaché après un arrêt, ni message live inséré entre-temps
+    return database.transaction(() => {
+        database.prepare(`UPDATE messages SET thread_id = NULL ${where}`).run(...params);
+        database.prepare(`DELETE FROM threads ${where}`).run(...params);
+
+        const rows = database.prepare(`
+            SELECT ${cols.join(', ')} FROM messages ${groupName ? 'WHERE group_name = ? AND' : 'WHERE'} deleted_at IS NULL AND ts IS NOT NULL
+            ORDER BY ts, id
+        `).all(...params);
+        for (const row of rows) {
+            if (row.group_name) attachRow(database, row);
+        }
+
+        const threads = database.prepare(`SELECT COUNT(*) AS n FROM threads ${where}`).get(...params).n;
+        return { messages: rows.length, threads };
+    })();
+}
+
+// =============================================================================
+// LECTURE
+// =============================================================================
+
+/**
+ * Fil complet : question d'origine, relances et réponses dans l'ordre.
+ * Public (comme /api/messages/:id) : un message supprimé n'apparaît pas, même recopié comme question liée
+ * d'un voisin, et les ID WhatsApp (JID des membres) ne sont pas exposés.
+ */
+function getThread(threadId) {
+    const database = getDb();
+    const thread = database.prepare('SELECT * FROM threads WHERE id = ?').get(threadId);
+    if (!thread) return null;
+
+    const rows = database.prepare(`
+        SELECT * FROM messages WHERE thread_id = ? AND deleted_at IS NULL ORDER BY ts, id
+    `).all(threadId);
+    // Questions liées supprimées (le message lié peut être dans un autre fil)
+    const linked = [...new Set(rows.map(m => m.question_message_id).filter(Boolean))];
+    const deleted = new Set(linked.length ? database.prepare(`
+        SELECT wa_message_id FROM messages WHERE deleted_at IS NOT NULL AND wa_message_id IN (${linked.map(() => '?').join(',')})
+    `).all(...linked).map(r => r.wa_message_id) : []);
+    const idByWa = new Map(rows.map(m => [m.wa_message_id, m.id]));
+
+    return {
+        id: thread.id,
+        group: thread.group_name,
+        asker: thread.asker_name,
+        startedAt: thread.started_at,
+        lastActivityAt: thread.last_ts,
+        messageCount: thread.message_count,
+        answerCount: thread.answer_count,
+        messages: rows.map(m => {
+            const responder = responderName(m);
+            const isOwnQuestion = m.question_message_id === m.wa_message_id;
+            // question_text d'un média = question liée, copiée du message supprimé le cas échéant
+            const linkedQuestion = deleted.has(m.question_message_id) ? '' : m.question_text;
+            return {
+                id: m.id,
+                role: responder ? 'answer' : 'question',
+                sender: m.sender_name || '',
+                responder,
+                mediaType: m.media_type || (m.audio_path ? 'audio' : 'text'),
+                // question_text d'une réponse = question liée, pas son contenu
+                text: isOwnQuestion ? m.question_text :
+                    (m.transcript_torah || m.transcript_raw || m.ocr_text || (responder ? '' : linkedQuestion) || ''),
+                audioUrl: m.audio_path ? `/audio/${path.basename(m.audio_path)}` : null,
+                // Message cité dans ce fil (id interne), null s'il est ailleurs ou supprimé
+                repliedTo: idByWa.get(m.replied_to_message_id) || null,
+                ts: m.ts,
+                isRoot: m.id === thread.root_message_id
+            };
+        })
+    };
+}
+
+// =============================================================================
+// API ENDPOINTS
+// =============================================================================
+
+function setupThreadEndpoints(app, requireAdmin) {
+    // GET /api/threads/:id - Question + relances + réponses
+    // Public volontairement : même contenu que /api/messages/:id, qui renvoie threadId au site
+    app.get('/api/threads/:id', (req, res) => {
+        try {
+            const thread = getThread(req.params.id);
+            if (!thread) return res.status(404).json({ error: 'Fil introuvable' });
+            res.json(thread);
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    // POST /api/admin/threads/rebuild { group } - Reconstruction (après import, changement de délai...)
+    app.post('/api/admin/threads/rebuild', requireAdmin, (req, res) => {
+        try {
+            const result = rebuildThreads({ groupName: (req.body && req.body.group) || null });
+            console.log(`🧵 Fils reconstruits: ${result.threads} fils pour ${result.messages} messages (Admin)`);
+            res.json({ success: true, ...result });
+        } catch (e) {
+            res.status(500).json({ error: e.message });
+        }
+    });
+
+    console.log('✅ Thread endpoints registered: /api/threads');
+}
+
+module.exports = {
+    ensureThreadsTable,
+    assignThread,
+    refreshThreads,
+    rebuildThreads,
+    getThread,
+    setupThreadEndpoints
+};
+
+// CLI : reconstruction complète des fils
+if (require.main === module) {
+    const groupArg = process.argv.indexOf('--group');
+    const groupName = groupArg > 0 ? process.argv[groupArg + 1] : null;
+    console.log(`🧵 Reconstruction des fils${groupName ? ` (${groupName})` : ''}...`);
+    const result = rebuildThreads({ groupName });
+    console.log(`✅ Terminé : ${result.threads} fils pour ${result.messages} messages.`);
+}
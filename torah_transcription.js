@@ -1,9 +1,15 @@
 const OpenAI = require('openai');
 require('dotenv').config();
 
-const client = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// Client créé au premier appel : le module se charge sans clé (le job échoue alors seul)
+let client = null;
+function getClient() {
+    if (!client) {
+        if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY manquant');
+        client = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return client;
+}
 
 // 1) Correction de la transcription brute
 async function cleanTranscription(rawTranscription) {
@@ -21,7 +27,7 @@ RÈGLES :
 `;
 
     try {
-        const completion = await client.chat.completions.create({
+        const completion = await getClient().chat.completions.create({
             model: process.env.MODEL_GPT || "gpt-4o-mini", // Fallback to 4o-mini if not set
             messages: [
                 { role: "system", content: systemPrompt },
@@ -67,7 +73,7 @@ ${cleanedTranscription}
 `;
 
     try {
-        const completion = await client.chat.completions.create({
+        const completion = await getClient().chat.completions.create({
             model: process.env.MODEL_GPT || "gpt-4o-mini",
             messages: [
                 { role: "system", content: systemPrompt },
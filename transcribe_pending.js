@@ -1,60 +1,78 @@
 /**
  * Service de Transcription en Arrière-plan (Background Worker)
  * Scanne la base de données pour les audios sans transcription et les complète.
+ * Même service que le pipeline (transcription.js : langue, retries, .opus, traduction FR),
+ * puis même correction + version Torah que l'étape torah du pipeline.
+ * Sans OPENAI_API_KEY (moteur local ou fake), seule la transcription brute est enregistrée.
  * 
- * Usage: node transcribe_pending.js
+ * Usage: node transcribe_pending.js [--backend openai|local|fake] [--model whisper-1]
  */
 
 require('dotenv').config();
 const fs = require('fs');
 const path = require('path');
 const Database = require('better-sqlite3');
-const OpenAI = require('openai');
+const { findResponder, listResponders } = require('./responders');
+const { findGroupByName } = require('./groups');
+const { transcribeAudio, resolveStt, modelLabel, hasSttBackend } = require('./transcription');
+const { audioTrackPath } = require('./media_extract');
 
 // Config
 const DB_PATH = process.env.DB_PATH || './ravqa.db';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
-
-if (!OPENAI_API_KEY) {
-    console.error('❌ Erreur: OPENAI_API_KEY manquant dans .env');
+const arg = (name) => {
+    const i = process.argv.indexOf(name);
+    return i > 0 ? process.argv[i + 1] : undefined;
+};
+// Moteur / modèle imposés pour ce passage (sinon ceux du groupe, puis STT_BACKEND / STT_MODEL)
+const STT_OVERRIDE = { sttBackend: arg('--backend'), sttModel: arg('--model') };
+
+if (STT_OVERRIDE.sttBackend && !hasSttBackend(STT_OVERRIDE.sttBackend)) {
+    console.error(`❌ Erreur: moteur de transcription inconnu (${STT_OVERRIDE.sttBackend})`);
     process.exit(1);
 }
+// La correction (torah_transcription.js) passe toujours par GPT
+const CAN_CORRECT = !!process.env.OPENAI_API_KEY;
+if (!CAN_CORRECT) {
+    console.warn('⚠️ OPENAI_API_KEY manquant : transcription brute seulement, correction et version Torah ignorées');
+}
 
-const openai = new OpenAI({ apiKey: OPENAI_API_KEY });
+const { processEntry } = require('./torah_transcription');
 const db = new Database(DB_PATH);
 
-async function transcribeAudio(audioPath) {
-    try {
-        if (!fs.existsSync(audioPath)) return null;
-
-        const transcription = await openai.audio.transcriptions.create({
-            file: fs.createReadStream(audioPath),
-            model: "whisper-1",
-            language: "fr"
-        });
-        return transcription.text;
-    } catch (e) {
-        console.error(`  ❌ Erreur API: ${e.message}`); // Ex: Rate limit, quota
-        return null;
-    }
+// Provenance des transcriptions (colonnes aussi créées par db.js au démarrage du bot)
+const cols = db.prepare('PRAGMA table_info(messages)').all().map(c => c.name);
+if (!cols.includes('transcript_model')) db.exec('ALTER TABLE messages ADD COLUMN transcript_model TEXT');
+if (!cols.includes('transcript_policy')) db.exec('ALTER TABLE messages ADD COLUMN transcript_policy TEXT');
+
+/**
+ * Transcription d'un message avec les réglages de son groupe (langue, moteur) : comme l'étape transcribe du pipeline
+ * @returns {Object|null} résultat de transcribeAudio, null si la transcription est désactivée pour le groupe
+ */
+async function transcribeMessage(msg) {
+    const group = findGroupByName(msg.group_name);
+    if (group && !group.transcribe) return null;
+
+    const source = msg.media_type === 'video' ? audioTrackPath(msg.audio_path) : msg.audio_path;
+    const { backend, model } = resolveStt({ group, payload: STT_OVERRIDE });
+    return transcribeAudio(source, { questionHint: msg.question_text || null, language: group?.language || null, backend, model });
 }
 
 async function runBatch() {
     console.log('🔍 Recherche des audios manquants...');
 
     // 1. Récupérer les messages avec audio mais SANS transcription (ou vide)
-    // FILTRE: UNIQUEMENT LE RAV (Michael Abichid)
+    // FILTRE: UNIQUEMENT LES RÉPONDANTS (table responders, par JID ou alias)
     const messages = db.prepare(`
-        SELECT id, audio_path 
+        SELECT id, audio_path, media_type, sender_name, sender_jid, group_name, question_text, transcript_raw
         FROM messages 
         WHERE audio_path IS NOT NULL 
         AND (transcript_torah IS NULL OR length(transcript_torah) < 5)
-        AND sender_name = 'Michael Abichid'
         ORDER BY ts DESC
-    `).all();
+    `).all().filter(m => findResponder({ jid: m.sender_jid, name: m.sender_name }));
 
     const total = messages.length;
-    console.log(`📋 Trouvé ${total} audios à transcrire (Filtre: Michael Abichid).\n`);
+    const names = listResponders().map(r => r.name).join(', ');
+    console.log(`📋 Trouvé ${total} audios à transcrire (Filtre: ${names}${STT_OVERRIDE.sttBackend ? `, moteur: ${STT_OVERRIDE.sttBackend}` : ''}).\n`);
 
     if (total === 0) {
         console.log('✅ Tout est à jour !');
@@ -90,46 +108,46 @@ async function runBatch() {
             continue;
         }
 
-        // WORKAROUND: OpenAI refuse .opus officiellement, mais accepte si on renforce en .ogg
-        let fileToSend = msg.audio_path;
-        let tempFile = null;
-
-        if (ext === '.opus') {
-            tempFile = msg.audio_path.replace(/\.opus$/i, '.ogg');
-            // Si le fichier .ogg n'existe pas déjà (cas import doubles), on le crée temporairement
-            // Utilisation de copyFile pour compatibilité max (symlink parfois capricieux sur API)
-            try {
-                if (!fs.existsSync(tempFile)) {
-                    fs.copyFileSync(msg.audio_path, tempFile);
-                } else {
-                    tempFile = null; // On ne touche pas s'il existe déjà
+        try {
+            // Transcrire (une transcription brute déjà en base n'est pas repayée : seule la correction manquait)
+            let raw = msg.transcript_raw;
+            if (!raw) {
+                const res = await transcribeMessage(msg);
+                if (!res) {
+                    process.stdout.write('🔇 Transcription désactivée pour le groupe');
+                    skipped++;
+                    continue;
                 }
-            } catch (e) {
-                tempFile = null; // Fallback sur original
+                if (!res.text) throw new Error('Transcription vide');
+                raw = res.text;
+                db.prepare(`
+                    UPDATE messages SET transcript_raw = ?, transcript_model = ?, transcript_policy = ? WHERE id = ?
+                `).run(raw, modelLabel(res), res.policy, msg.id);
             }
-            if (tempFile) fileToSend = tempFile;
-        }
-
-        // Transcrire
-        const text = await transcribeAudio(fileToSend);
 
-        // Nettoyage temp
-        if (tempFile && fs.existsSync(tempFile)) {
-            try { fs.unlinkSync(tempFile); } catch (e) { }
-        }
+            if (!CAN_CORRECT) {
+                process.stdout.write(raw === msg.transcript_raw ? '⏭️ Déjà transcrit (correction ignorée)' : '✅ Transcrit (correction ignorée)');
+                if (raw === msg.transcript_raw) skipped++;
+                else successes++;
+                continue;
+            }
 
-        if (text) {
-            // Update DB
+            // Correction + Version Torah (comme l'étape torah du pipeline)
+            const { transcriptionCorrigee, versionTorah, drapeauIncomplet } = await processEntry({
+                question: msg.question_text || '',
+                rawTranscription: raw
+            });
+            if (!versionTorah) throw new Error('Version Torah vide');
             db.prepare(`
                 UPDATE messages 
-                SET transcript_torah = ?, transcript_raw = ? 
+                SET transcript_raw_edited = ?, transcript_torah = ?, needs_review = ? 
                 WHERE id = ?
-            `).run(text, text, msg.id);
+            `).run(transcriptionCorrigee, versionTorah, drapeauIncomplet ? 1 : 0, msg.id);
 
             process.stdout.write('✅ Sauvegardé');
             successes++;
-        } else {
-            console.log('\n  ❌ Échec transcription');
+        } catch (e) {
+            console.log(`\n  ❌ Échec transcription: ${e.message}`); // Ex: Rate limit, quota
             errors++;
         }
     }
@@ -0,0 +1,260 @@
+/**
+ * Service de transcription des audios, commun au pipeline (bot, audios importés) et à transcribe_pending.js
+ * - Même politique de langue, mêmes retries, même traitement des .opus, même post-traitement (traduction FR)
+ * - Chaque transcription indique le modèle et la politique appliquée (colonnes transcript_model / transcript_policy)
+ *
+ * Moteurs (speech-to-text) interchangeables :
+ * - openai : API OpenAI (gpt-4o-transcribe, repli whisper-1)
+ * - local : binaire whisper.cpp (hors ligne), modèles ggml dans WHISPER_CPP_MODELS_DIR
+ * - fake : texte déterministe dérivé du fichier (tests, sans réseau)
+ * - Moteur et modèle choisis par job (payload sttBackend / sttModel), sinon par groupe
+ *   (groups.stt_backend / stt_model), sinon STT_BACKEND / STT_MODEL
+ * - Un autre moteur peut être branché via registerSttBackend(name, fn, { models })
+ *
+ * Usage CLI (comparaison de moteurs) : node transcription.js <audio> [--backend local] [--model base] [--language fr] [--fr]
+ */
+
+require('dotenv').config();
+const { execFile } = require('child_process');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const OpenAI = require('openai');
+const { toFile } = require('openai');
+
+const STT_BACKEND = process.env.STT_BACKEND || 'openai';
+const STT_MODEL = process.env.STT_MODEL || null;
+const WHISPER_CPP_BIN = process.env.WHISPER_CPP_BIN || 'whisper-cli';
+const WHISPER_CPP_MODELS_DIR = process.env.WHISPER_CPP_MODELS_DIR || './models';
+const WHISPER_CPP_THREADS = parseInt(process.env.WHISPER_CPP_THREADS, 10) || Math.max(1, os.cpus().length);
+const LOCAL_TIMEOUT_MS = 30 * 60 * 1000;   // CPU : une longue note vocale peut prendre plusieurs minutes
+const RATE_LIMIT_RETRIES = 3;
+const HEBREW_RE = /[\u0590-\u05FF]/; // lettres hébraïques
+
+const SLEEP = ms => new Promise(r => setTimeout(r, ms));
+
+const backends = new Map();   // nom → { fn, models } ; fn(filePath, { model, language }) → { text, language }
+
+/**
+ * Déclare un moteur de transcription (models : modèles essayés dans l'ordre si aucun n'est imposé)
+ */
+function registerSttBackend(name, fn, { models = [] } = {}) {
+    backends.set(name, { fn, models });
+}
+
+function listSttBackends() {
+    return [...backends.entries()].map(([name, b]) => ({ name, models: b.models }));
+}
+
+function hasSttBackend(name) {
+    return backends.has(name);
+}
+
+// =============================================================================
+// MOTEURS
+// =============================================================================
+
+let openai = null;
+
+function getOpenAI() {
+    if (!openai) {
+        if (!process.env.OPENAI_API_KEY) throw new Error('OPENAI_API_KEY manquant');
+        openai = new OpenAI({ apiKey: process.env.OPENAI_API_KEY });
+    }
+    return openai;
+}
+
+registerSttBackend('openai', async (filePath, { model, language }) => {
+    // L'API refuse l'extension .opus mais accepte le même flux Ogg/Opus nommé .ogg
+    const file = await toFile(fs.createReadStream(filePath), path.basename(filePath).replace(/\.opus$/i, '.ogg'));
+    const opts = { file, model, response_format: 'verbose_json' };
+    if (language) opts.language = language;
+    const resp = await getOpenAI().audio.transcriptions.create(opts);
+    return { text: resp.text || '', language: (resp.language || '').toLowerCase() || null };
+}, { models: ['gpt-4o-transcribe', 'whisper-1'] });
+
+function run(cmd, args, timeout) {
+    return new Promise((resolve, reject) => {
+        execFile(cmd, args, { timeout, maxBuffer: 20 * 1024 * 1024 }, (err, stdout, stderr) => {
+            if (err) {
+                if (err.code === 'ENOENT') return reject(new Error(`${cmd} introuvable (installer ${cmd === WHISPER_CPP_BIN ? 'whisper.cpp ou définir WHISPER_CPP_BIN' : cmd})`));
+                return reject(new Error(`${cmd}: ${(stderr || err.message).toString().trim().split('\n').pop()}`));
+            }
+            resolve({ stdout: stdout.toString(), stderr: stderr.toString() });
+        });
+    });
+}
+
+/**
+ * Fichier ggml d'un modèle whisper.cpp ("base", "large-v3"... ou chemin explicite)
+ */
+function localModelPath(model) {
+    return model.endsWith('.bin') ? model : path.join(WHISPER_CPP_MODELS_DIR, `ggml-${model}.bin`);
+}
+
+registerSttBackend('local', async (filePath, { model, language }) => {
+    const modelPath = localModelPath(model);
+    if (!fs.existsSync(modelPath)) throw new Error(`Modèle whisper.cpp introuvable: ${modelPath}`);
+
+    // whisper.cpp lit du WAV 16 kHz mono : conversion préalable (opus, m4a, piste vidéo...)
+    const wav = path.join(os.tmpdir(), `stt_${process.pid}_${crypto.randomBytes(6).toString('hex')}.wav`);
+    try {
+        await run('ffmpeg', ['-y', '-loglevel', 'error', '-i', filePath, '-ac', '1', '-ar', '16000', wav], LOCAL_TIMEOUT_MS);
+        const { stdout, stderr } = await run(WHISPER_CPP_BIN, [
+            '-m', modelPath, '-f', wav, '-l', language || 'auto', '-t', String(WHISPER_CPP_THREADS), '-nt'
+        ], LOCAL_TIMEOUT_MS);
+        const detected = stderr.match(/auto-detected language:\s*([a-z]{2,3})/i);
+        return {
+            text: stdout.split('\n').map(l => l.trim()).filter(Boolean).join(' '),
+            language: language || (detected ? detected[1].toLowerCase() : null)
+        };
+    } finally {
+        fs.rmSync(wav, { force: true });
+    }
+}, { models: [process.env.WHISPER_CPP_MODEL || 'base'] });
+
+registerSttBackend('fake', async (filePath, { model, language }) => {
+    const digest = crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex').slice(0, 12);
+    return { text: `Transcription ${model} de ${path.basename(filePath)} (${digest})`, language: language || 'fr' };
+}, { models: ['fake'] });
+
+// =============================================================================
+// SERVICE
+// =============================================================================
+
+/**
+ * Moteur et modèle pour un job : payload du job, puis réglages du groupe, puis variables d'env
+ * (le modèle n'est repris que du niveau qui a choisi le moteur)
+ */
+function resolveStt({ group = null, payload = {} } = {}) {
+    if (payload.sttBackend) return { backend: payload.sttBackend, model: payload.sttModel || null };
+    if (group?.sttBackend) return { backend: group.sttBackend, model: payload.sttModel || group.sttModel || null };
+    return { backend: STT_BACKEND, model: payload.sttModel || STT_MODEL };
+}
+
+/**
+ * Transcription brute (sans traduction) avec le moteur choisi
+ * - Modèle imposé, ou modèles du moteur essayés dans l'ordre
+ * - Rate limit / quota : nouvel essai avec backoff, sinon modèle suivant
+ * @returns {Object} { text, language, backend, model }
+ * @throws {Error} si le moteur est inconnu ou si tous les modèles échouent
+ */
+async function transcribeRaw(filePath, { backend = STT_BACKEND, model = null, language = null } = {}) {
+    const engine = backends.get(backend);
+    if (!engine) throw new Error(`Moteur de transcription inconnu: ${backend}`);
+    if (!filePath || !fs.existsSync(filePath)) throw new Error(`Audio introuvable: ${filePath}`);
+
+    let lastError = null;
+    for (const m of model ? [model] : engine.models) {
+        let delay = 1200;
+        for (let attempt = 1; attempt <= RATE_LIMIT_RETRIES; attempt++) {
+            try {
+                const res = await engine.fn(filePath, { model: m, language });
+                return { text: (res.text || '').trim(), language: res.language || null, backend, model: m };
+            } catch (e) {
+                lastError = e;
+                if (e?.status === 429 || /rate limit|quota/i.test(e?.message || '')) {
+                    await SLEEP(delay); delay *= 2; continue;
+                }
+                break; // essaie le modèle suivant
+            }
+        }
+    }
+    throw lastError || new Error(`Aucun modèle pour le moteur ${backend}`);
+}
+
+// Traduction → français (préserve les termes halakhiques/translittérés)
+async function toFrench(text) {
+    if (!text || !text.trim()) return '';
+    const resp = await getOpenAI().chat.completions.create({
+        model: process.env.MODEL_GPT || 'gpt-4o-mini',
+        temperature: 0.1,
+        messages: [
+            { role: 'system', content: "Tu es un traducteur fidèle. Traduis en FRANÇAIS, proprement et lisiblement, en conservant les termes halakhiques (translittération si nécessaire). N'ajoute aucun commentaire." },
+            { role: 'user', content: text }
+        ],
+    });
+    return resp.choices[0]?.message?.content?.trim() || '';
+}
+
+/**
+ * Transcription d'un audio selon la règle métier :
+ * - On détecte la langue de l'audio, sauf si `language` est imposée
+ *   (langue par défaut du groupe) : elle est alors passée telle quelle au moteur.
+ * - Sauf instruction contraire (KEEP_HEBREW=1), on RENVOIE toujours du FR :
+ *     - langue 'fr' → on garde tel quel
+ *     - sinon → on traduit en FR via GPT ; si la traduction échoue (ou hors ligne),
+ *       nouvelle transcription avec le même modèle en imposant le français
+ * - Si la question texte contient de l'hébreu, on garde l'hébreu avec KEEP_HEBREW=1.
+ *
+ * policy : forced:<langue> | detected:fr | translated:<langue> | retranscribed:fr | kept:<langue>
+ * @returns {Object} { text, language, backend, model, policy }
+ * @throws {Error} si le moteur échoue (les appelants retentent : job du pipeline, prochain passage du worker)
+ */
+async function transcribeAudio(filePath, { questionHint = null, language = null, backend = STT_BACKEND, model = null } = {}) {
+    const preferHebrew = typeof questionHint === 'string' && HEBREW_RE.test(questionHint);
+    const keepHebrew = process.env.KEEP_HEBREW === '1';
+
+    const det = await transcribeRaw(filePath, { backend, model, language });
+    const lang = (language || det.language || '').toLowerCase();
+    const result = (text, policy) => ({ text, language: lang || null, backend: det.backend, model: det.model, policy });
+
+    if (keepHebrew && (lang === 'he' || preferHebrew)) return result(det.text, `kept:${lang || 'he'}`);
+    if (lang === 'fr') return result(det.text, language ? 'forced:fr' : 'detected:fr');
+    if (!det.text) return result('', `detected:${lang || 'inconnue'}`);
+
+    try {
+        const fr = await toFrench(det.text);
+        if (fr) return result(fr, `translated:${lang || 'inconnue'}`);
+    } catch (e) {
+        console.log(`⚠️ Traduction FR impossible (${e.message}), nouvelle transcription en français`);
+    }
+    const fr2 = await transcribeRaw(filePath, { backend: det.backend, model: det.model, language: 'fr' });
+    return result(fr2.text, 'retranscribed:fr');
+}
+
+/**
+ * Valeur de la colonne transcript_model ("openai/whisper-1", "local/large-v3"...)
+ */
+function modelLabel({ backend, model }) {
+    return `${backend}/${model}`;
+}
+
+module.exports = {
+    registerSttBackend,
+    listSttBackends,
+    hasSttBackend,
+    resolveStt,
+    transcribeRaw,
+    transcribeAudio,
+    toFrench,
+    modelLabel,
+    STT_BACKEND
+};
+
+// CLI : transcription d'un fichier avec un moteur donné, brute ou avec la politique complète (--fr)
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const opt = (name) => {
+        const i = args.indexOf(`--${name}`);
+        return i >= 0 ? args[i + 1] : null;
+    };
+    const file = args.find((a, i) => !a.startsWith('--') && !(i > 0 && args[i - 1].startsWith('--')));
+    if (!file) {
+        console.log(`Usage: node transcription.js <audio> [--backend ${[...backends.keys()].join('|')}] [--model nom] [--language fr] [--fr]`);
+        process.exit(1);
+    }
+
+    const started = Date.now();
+    const run = args.includes('--fr') ? transcribeAudio : transcribeRaw;
+    run(file, { backend: opt('backend') || STT_BACKEND, model: opt('model'), language: opt('language') })
+        .then(res => {
+            console.log(`🎙️ ${modelLabel(res)} (${res.language || 'langue inconnue'}${res.policy ? `, ${res.policy}` : ''}, ${((Date.now() - started) / 1000).toFixed(1)}s)`);
+            console.log(res.text);
+        })
+        .catch(e => {
+            console.error(`❌ ${e.message}`);
+            process.exit(1);
+        });
+}
@@ -0,0 +1,405 @@
+/**
+ * Transports WhatsApp - Interface commune du pipeline d'ingestion
+ *
+ * processMessage() et catchUpFromDate() ne parlent plus directement à whatsapp-web.js :
+ * ils passent par un "transport" qui expose :
+ *   - initialize() / destroy() / getState() / logout()
+ *   - on(event, handler)             ('qr', 'ready', 'authenticated', 'message', ...)
+ *   - getChats()                     → chats { id._serialized, name, isGroup, fetchMessages({ limit }) }
+ *   - fetchMessagesBefore(chat, { limit, before }) → les `limit` messages précédant l'id `before`
+ *                                      (tous les plus récents sans `before`), du plus ancien au plus récent
+ *   - getChat(msg)                   → chat du message
+ *   - getMessageById(id)             → message ou null
+ *   - downloadMedia(msg)             → { mimetype, data (base64), filename } ou null
+ *   - getQuotedMessage(msg)          → message cité ou null
+ *   - reply(msg, text) / sendMessage(chatId, text, options) / sendMedia(chatId, filePath, options)
+ *
+ * Les messages gardent la forme whatsapp-web.js (id._serialized, type, body, timestamp,
+ * author, from, hasMedia, hasQuotedMsg, caption, _data.notifyName, _data.duration).
+ *
+ * Deux implémentations :
+ *   - webjs  : client WhatsApp réel (QR / code d'appairage)
+ *   - replay : rejoue des messages enregistrés (messages.jsonl + media/) sans téléphone
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Transport courant (positionné par le bot, lu par les modules qui doivent répondre)
+let activeTransport = null;
+
+function setActiveTransport(transport) {
+    activeTransport = transport;
+}
+
+function getActiveTransport() {
+    return activeTransport;
+}
+
+// Opérations "message" de whatsapp-web.js (utilisables sans client, ex: tests manuels)
+const webJsMessageOps = {
+    getChat: (msg) => msg.getChat(),
+    downloadMedia: (msg) => msg.downloadMedia(),
+    getQuotedMessage: (msg) => (msg.hasQuotedMsg ? msg.getQuotedMessage() : null),
+    reply: (msg, text) => msg.reply(text)
+};
+
+// =============================================================================
+// TRANSPORT WHATSAPP-WEB.JS (Live)
+// =============================================================================
+
+/**
+ * Pagination vers le passé avec whatsapp-web.js : Chat.fetchMessages n'accepte que { limit, fromMe }
+ * et renvoie les `limit` derniers messages. On élargit `limit` jusqu'à charger `limit` messages avant `before`
+ * (ou tout l'historique disponible).
+ */
+async function fetchWebJsMessagesBefore(chat, { limit = 50, before } = {}) {
+    if (!before) return chat.fetchMessages({ limit });
+
+    let window = limit * 2;
+    while (true) {
+        const messages = await chat.fetchMessages({ limit: window });
+        const idx = messages.findIndex(m => m.id._serialized === before);
+        const exhausted = messages.length < window;   // plus rien à charger côté WhatsApp
+        if (idx >= limit || (idx >= 0 && exhausted)) return messages.slice(Math.max(0, idx - limit), idx);
+        if (exhausted) {
+            console.log(`⚠️ Message ${before} introuvable dans l'historique de ${chat.name}`);
+            return [];
+        }
+        window *= 2;
+    }
+}
+
+function createWebJsTransport({ clientId = 'rav' } = {}) {
+    // Chargement paresseux : le mode replay ne doit pas dépendre de puppeteer
+    const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
+
+    const client = new Client({
+        authStrategy: new LocalAuth({ clientId }),
+        puppeteer: {
+            headless: true,
+            args: [
+                '--no-sandbox',
+                '--disable-setuid-sandbox',
+                '--disable-dev-shm-usage',
+                '--disable-accelerated-2d-canvas',
+                '--no-first-run',
+                '--no-zygote',
+                '--single-process',
+                '--disable-gpu'
+            ],
+            timeout: 60000
+        },
+        authTimeoutMs: 60000
+    });
+
+    return {
+        name: 'webjs',
+        client,
+        ...webJsMessageOps,
+        initialize: () => client.initialize(),
+        destroy: () => client.destroy(),
+        logout: () => client.logout(),
+        getState: () => client.getState(),
+        on: (event, handler) => client.on(event, handler),
+        requestPairingCode: (phone) => client.requestPairingCode(phone),
+        getChats: () => client.getChats(),
+        getMessageById: (id) => client.getMessageById(id),
+        fetchMessagesBefore: fetchWebJsMessagesBefore,
+        sendMessage: (chatId, text, options) => client.sendMessage(chatId, text, options),
+        sendMedia: (chatId, filePath, options) => client.sendMessage(chatId, MessageMedia.fromFilePath(filePath), options)
+    };
+}
+
+// =============================================================================
+// TRANSPORT REPLAY (Hors ligne)
+// =============================================================================
+
+/**
+ * Format d'un enregistrement (une ligne JSON par message dans messages.jsonl) :
+ * {
+ *   "id": "false_123@g.us_ABC_456@lid",
+ *   "chat": { "id": "123@g.us", "name": "Groupe Rav", "isGroup": true },
+ *   "type": "ptt", "body": "", "timestamp": 1700000000,
+ *   "author": "456@lid", "from": "123@g.us", "notifyName": "Michael Abichid",
+ *   "duration": 42, "caption": null, "quotedMsgId": null,
+ *   "media": { "mimetype": "audio/ogg; codecs=opus", "file": "ABC.ogg" }
+ * }
+ * Les fichiers médias sont lus dans <dir>/media/.
+ * Éditions et suppressions sont des lignes à part, rejouées à leur timestamp :
+ *   { "event": "message_edit", "id": "...", "newBody": "...", "prevBody": "...", "timestamp": 1700000100 }
+ *   { "event": "message_revoke_everyone", "id": "...", "timestamp": 1700000200 }
+ *   { "event": "message_reaction", "id": "...", "reaction": "👍", "senderId": "789@lid", "timestamp": 1700000300 }
+ */
+function loadRecording(dir) {
+    const file = path.join(dir, 'messages.jsonl');
+    if (!fs.existsSync(file)) throw new Error(`Enregistrement introuvable: ${file}`);
+
+    return fs.readFileSync(file, 'utf-8')
+        .split('\n')
+        .map(l => l.trim())
+        .filter(Boolean)
+        .map((line, i) => {
+            try { return JSON.parse(line); } catch (e) {
+                throw new Error(`messages.jsonl ligne ${i + 1} invalide: ${e.message}`);
+            }
+        });
+}
+
+function toReplayMessage(raw) {
+    return {
+        id: { _serialized: raw.id },
+        type: raw.type || 'chat',
+        body: raw.body || '',
+        timestamp: raw.timestamp,
+        author: raw.author || null,
+        from: raw.from || raw.chat?.id || null,
+        hasMedia: !!raw.media,
+        hasQuotedMsg: !!raw.quotedMsgId,
+        caption: raw.caption || null,
+        _data: {
+            notifyName: raw.notifyName || null,
+            duration: raw.duration || null,
+            mimetype: raw.media?.mimetype || null,
+            filename: raw.media?.filename || null
+        },
+        _replay: raw
+    };
+}
+
+function createReplayTransport(dir, { mode = 'live' } = {}) {
+    const records = loadRecording(dir);
+    const mediaDir = path.join(dir, 'media');
+    const handlers = {};
+    const sent = [];
+
+    const messages = records.filter(r => !r.event).map(toReplayMessage).sort((a, b) => a.timestamp - b.timestamp);
+    const byId = new Map(messages.map(m => [m.id._serialized, m]));
+    const events = records.filter(r => r.event);
+
+    const chats = new Map();
+    for (const raw of records.filter(r => !r.event)) {
+        const c = raw.chat || { id: raw.from, name: raw.from, isGroup: true };
+        if (!chats.has(c.id)) chats.set(c.id, makeChat(c));
+    }
+
+    function makeChat({ id, name, isGroup = true }) {
+        return {
+            id: { _serialized: id },
+            name: name || id,
+            isGroup,
+            // Les `limit` messages précédant `before` (option propre au replay, voir fetchMessagesBefore),
+            // du plus ancien au plus récent
+            async fetchMessages({ limit = 50, before } = {}) {
+                let list = messages.filter(m => (m._replay.chat?.id || m.from) === id);
+                if (before) {
+                    const idx = list.findIndex(m => m.id._serialized === before);
+                    if (idx >= 0) list = list.slice(0, idx);
+                }
+                return list.slice(-limit);
+            }
+        };
+    }
+
+    // Les handlers sont attendus un par un pour un rejeu déterministe
+    async function emit(event, ...args) {
+        for (const handler of handlers[event] || []) {
+            await handler(...args);
+        }
+    }
+
+    // Mêmes arguments que whatsapp-web.js : (message, newBody, prevBody) / (after, before) / (reaction)
+    async function emitRecordedEvent(raw) {
+        if (raw.event === 'message_reaction') {
+            await emit('message_reaction', {
+                id: { _serialized: `reaction_${raw.id}_${raw.senderId}` },
+                msgId: { _serialized: raw.id },
+                reaction: raw.reaction || '',
+                senderId: raw.senderId,
+                timestamp: raw.timestamp
+            });
+            return;
+        }
+        const original = byId.get(raw.id);
+        if (!original) return;
+        if (raw.event === 'message_edit') {
+            original.body = raw.newBody || '';
+            await emit('message_edit', original, raw.newBody || '', raw.prevBody || '');
+        } else if (raw.event === 'message_revoke_everyone') {
+            const after = { ...original, type: 'revoked', body: '' };
+            await emit('message_revoke_everyone', after, original);
+        }
+    }
+
+    return {
+        name: 'replay',
+        mode,
+        client: null,
+        sent,
+        async initialize() {
+            console.log(`📼 Replay: ${messages.length} messages, ${events.length} événement(s), ${chats.size} groupe(s) depuis ${dir}`);
+            await emit('authenticated');
+            await emit('ready');
+            // mode 'live' : émet chaque message ; mode 'catchup' : seulement via getChats/fetchMessages
+            if (mode === 'live') {
+                const timeline = [
+                    ...messages.map(m => ({ ts: m.timestamp, run: () => emit('message', m) })),
+                    ...events.map(e => ({ ts: e.timestamp || 0, run: () => emitRecordedEvent(e) }))
+                ].sort((a, b) => a.ts - b.ts);
+                for (const item of timeline) await item.run();
+                console.log('📼 Replay terminé.');
+            }
+        },
+        async destroy() { },
+        async logout() { },
+        async getState() { return 'CONNECTED'; },
+        on(event, handler) {
+            (handlers[event] = handlers[event] || []).push(handler);
+        },
+        emit,
+        async requestPairingCode() { return null; },
+        async getChats() { return [...chats.values()]; },
+        async fetchMessagesBefore(chat, options) { return chat.fetchMessages(options); },
+        async getChat(msg) {
+            const raw = msg._replay || {};
+            return chats.get(raw.chat?.id || msg.from) || makeChat({ id: msg.from, name: msg.from });
+        },
+        async getMessageById(id) { return byId.get(id) || null; },
+        async downloadMedia(msg) {
+            const media = msg._replay?.media;
+            if (!media || !media.file) return null;
+            const file = path.join(mediaDir, media.file);
+            if (!fs.existsSync(file)) {
+                console.log(`⚠️ Replay: média manquant ${media.file}`);
+                return null;
+            }
+            return {
+                mimetype: media.mimetype || 'application/octet-stream',
+                data: fs.readFileSync(file).toString('base64'),
+                filename: media.file
+            };
+        },
+        async getQuotedMessage(msg) {
+            const qid = msg._replay?.quotedMsgId;
+            return qid ? (byId.get(qid) || null) : null;
+        },
+        async reply(msg, text) {
+            return this.sendMessage(msg.from, text, { quotedMessageId: msg.id._serialized });
+        },
+        async sendMessage(chatId, text, options = {}) {
+            sent.push({ chatId, text, options, at: Date.now() });
+            console.log(`📼 Replay → ${chatId}: ${String(text).substring(0, 80)}`);
+            return { id: { _serialized: `replay_sent_${sent.length}` } };
+        },
+        async sendMedia(chatId, filePath, options = {}) {
+            return this.sendMessage(chatId, `[media] ${path.basename(filePath)}`, options);
+        }
+    };
+}
+
+// =============================================================================
+// ENREGISTREMENT (pour reproduire un bug en replay)
+// =============================================================================
+
+/**
+ * Nom du fichier média d'un message dans <dir>/media/ (même nom à l'enregistrement et au téléchargement)
+ */
+function recordedMediaFile(msg) {
+    const ext = ((msg._data?.mimetype || '').split('/')[1] || 'bin').split(';')[0];
+    return `${msg.id._serialized}.${ext}`;
+}
+
+/**
+ * Ajoute un message live à un enregistrement replay (<dir>/messages.jsonl + <dir>/media/)
+ * Le média n'est pas téléchargé ici : l'étape download du pipeline l'écrit via saveRecordedMedia
+ * (un média jamais téléchargé par le pipeline manquera au replay)
+ */
+async function recordMessage(transport, msg, dir) {
+    try {
+        const chat = await transport.getChat(msg);
+        const quoted = await transport.getQuotedMessage(msg).catch(() => null);
+        const record = {
+            id: msg.id._serialized,
+            chat: { id: chat.id?._serialized || msg.from, name: chat.name, isGroup: !!chat.isGroup },
+            type: msg.type,
+            body: msg.body || '',
+            timestamp: msg.timestamp,
+            author: msg.author || null,
+            from: msg.from || null,
+            notifyName: msg._data?.notifyName || null,
+            duration: msg._data?.duration || null,
+            caption: msg.caption || null,
+            quotedMsgId: quoted ? quoted.id._serialized : null,
+            media: null
+        };
+
+        if (msg.hasMedia) {
+            record.media = {
+                mimetype: msg._data?.mimetype || null,
+                filename: msg._data?.filename || null,
+                file: recordedMediaFile(msg)
+            };
+        }
+
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, 'messages.jsonl'), JSON.stringify(record) + '\n');
+    } catch (e) {
+        console.log('⚠️ Enregistrement replay échoué:', e?.message || e);
+    }
+}
+
+/**
+ * Écrit le média téléchargé par le pipeline dans l'enregistrement replay
+ */
+function saveRecordedMedia(dir, msg, media) {
+    try {
+        const mediaDir = path.join(dir, 'media');
+        if (!fs.existsSync(mediaDir)) fs.mkdirSync(mediaDir, { recursive: true });
+        fs.writeFileSync(path.join(mediaDir, recordedMediaFile(msg)), Buffer.from(media.data, 'base64'));
+    } catch (e) {
+        console.log('⚠️ Enregistrement replay du média échoué:', e?.message || e);
+    }
+}
+
+/**
+ * Ajoute une édition ou une suppression à un enregistrement replay
+ * @param {string} event 'message_edit' | 'message_revoke_everyone'
+ */
+function recordEvent(event, msg, dir, extra = {}) {
+    try {
+        const record = {
+            event,
+            id: msg.id._serialized,
+            timestamp: Math.floor(Date.now() / 1000),
+            ...extra
+        };
+        if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, 'messages.jsonl'), JSON.stringify(record) + '\n');
+    } catch (e) {
+        console.log('⚠️ Enregistrement replay échoué:', e?.message || e);
+    }
+}
+
+/**
+ * Choisit le transport selon l'environnement (WA_TRANSPORT=webjs|replay, WA_REPLAY_DIR, WA_REPLAY_MODE=live|catchup)
+ */
+function createTransportFromEnv() {
+    if (process.env.WA_TRANSPORT === 'replay') {
+        const dir = process.env.WA_REPLAY_DIR;
+        if (!dir) throw new Error('WA_REPLAY_DIR requis avec WA_TRANSPORT=replay');
+        return createReplayTransport(path.resolve(dir), { mode: process.env.WA_REPLAY_MODE || 'live' });
+    }
+    return createWebJsTransport();
+}
+
+module.exports = {
+    createWebJsTransport,
+    createReplayTransport,
+    createTransportFromEnv,
+    recordMessage,
+    saveRecordedMedia,
+    recordEvent,
+    setActiveTransport,
+    getActiveTransport,
+    webJsMessageOps
+};
@@ -0,0 +1,313 @@
+/**
+ * Parseur des exports de discussion WhatsApp (_chat.txt / "Discussion WhatsApp avec ....txt")
+ * - iOS     : [31/12/2023, 14:05:09] Nom: message
+ * - Android : 31/12/2023, 14:05 - Nom: message
+ * - Ordre de la date (JJ/MM, MM/JJ, AAAA-MM-JJ), années à 2 chiffres, AM/PM, séparateurs / . -
+ *   détectés sur un échantillon de lignes (surchargeables par la requête d'import)
+ * - Heures interprétées dans IMPORT_TIMEZONE (heure locale de l'export, pas celle du serveur)
+ */
+
+const IMPORT_TIMEZONE = process.env.IMPORT_TIMEZONE || Intl.DateTimeFormat().resolvedOptions().timeZone;
+const DEFAULT_DATE_ORDER = (process.env.IMPORT_DATE_ORDER || 'DMY').toUpperCase();
+const SAMPLE_LINES = 500;
+
+const DATE_ORDERS = ['DMY', 'MDY', 'YMD'];
+const CLOCKS = ['24h', '12h'];
+const PLATFORMS = ['ios', 'android'];
+
+// Marques de direction, BOM et espaces insécables (iOS met U+202F avant AM/PM)
+const INVISIBLE_CHARS = /[\u200E\u200F\u202A-\u202E\u2066-\u2069\uFEFF]/g;
+const SPACE_CHARS = /[\u00A0\u2007\u202F]/g;
+
+const DATE = String.raw`(\d{1,4})[\/.\-](\d{1,2})[\/.\-](\d{1,4})\.?`;
+const TIME = String.raw`(\d{1,2})[:.](\d{2})(?:[:.](\d{2}))?(?:\s*([AaPp])\.?\s?[Mm]\.?)?`;
+const SEP = String.raw`,?\s*(?:à\s+|um\s+|at\s+)?`;
+
+const HEADER_PATTERNS = [
+    { platform: 'ios', regex: new RegExp(String.raw`^\[${DATE}${SEP}${TIME}\]\s*(.*)$`) },
+    { platform: 'android', regex: new RegExp(String.raw`^${DATE}${SEP}${TIME}\s*[-–:]\s*(.*)$`) }
+];
+
+// Nom du fichier exporté selon la langue du téléphone ("WhatsApp Chat with Groupe.txt", "WhatsApp Chat - Groupe.zip"...)
+const EXPORT_NAME_PATTERNS = [
+    /^WhatsApp Chat with (.+)$/i,
+    /^WhatsApp Chat - (.+)$/i,
+    /^Discussion WhatsApp avec (.+)$/i,
+    /^WhatsApp-Chat mit (.+)$/i,
+    /^Chat de WhatsApp con (.+)$/i,
+    /^Conversa do WhatsApp com (.+)$/i,
+    /^צ'אט WhatsApp עם (.+)$/
+];
+
+// =============================================================================
+// DÉCOUPAGE
+// =============================================================================
+
+function cleanLine(line) {
+    return (line || '').replace(INVISIBLE_CHARS, '').replace(SPACE_CHARS, ' ').trim();
+}
+
+/**
+ * Découpe l'en-tête d'une ligne sans interpréter la date
+ * @returns {Object|null} { platform, a, b, c, hour, minute, second, meridiem, rest }
+ */
+function splitHeader(line) {
+    const clean = cleanLine(line);
+    for (const { platform, regex } of HEADER_PATTERNS) {
+        const m = clean.match(regex);
+        if (!m) continue;
+        return {
+            platform,
+            a: m[1], b: m[2], c: m[3],
+            hour: parseInt(m[4], 10),
+            minute: parseInt(m[5], 10),
+            second: m[6] ? parseInt(m[6], 10) : 0,
+            meridiem: m[7] ? m[7].toUpperCase() : null,
+            rest: m[8]
+        };
+    }
+    return null;
+}
+
+// =============================================================================
+// DÉTECTION
+// =============================================================================
+
+function dateParts(h, dateOrder) {
+    let day, month, year;
+    if (dateOrder === 'YMD') [year, month, day] = [h.a, h.b, h.c];
+    else if (dateOrder === 'MDY') [month, day, year] = [h.a, h.b, h.c];
+    else [day, month, year] = [h.a, h.b, h.c];
+    year = parseInt(year, 10);
+    if (year < 100) year += 2000;
+    return { day: parseInt(day, 10), month: parseInt(month, 10), year };
+}
+
+/**
+ * Nombre de dates valides qui se suivent dans l'ordre chronologique (départage JJ/MM vs MM/JJ)
+ */
+function chronologyScore(headers, dateOrder) {
+    let score = 0, prev = null;
+    for (const h of headers) {
+        const { day, month, year } = dateParts(h, dateOrder);
+        if (month < 1 || month > 12 || day < 1 || day > 31) return -1;
+        const key = year * 10000 + month * 100 + day;
+        if (prev !== null && key >= prev) score++;
+        prev = key;
+    }
+    return score;
+}
+
+/**
+ * Détecte le format d'un export à partir d'un échantillon de lignes
+ * @param {string[]} lines
+ * @param {Object} overrides { dateOrder, clock, platform, timezone } imposés par la requête d'import
+ * @returns {Object} { platform, dateOrder, clock, timezone, detected, sampled }
+ */
+function detectFormat(lines, overrides = {}) {
+    const format = validateOverrides(overrides);
+    const headers = [];
+    for (const line of lines) {
+        const h = splitHeader(line);
+        if (h) headers.push(h);
+        if (headers.length >= SAMPLE_LINES) break;
+    }
+
+    const platforms = headers.reduce((acc, h) => { acc[h.platform] = (acc[h.platform] || 0) + 1; return acc; }, {});
+    const detected = {
+        platform: (platforms.ios || 0) >= (platforms.android || 0) ? 'ios' : 'android',
+        clock: headers.some(h => h.meridiem) ? '12h' : '24h',
+        dateOrder: DEFAULT_DATE_ORDER
+    };
+    if (headers.length === 0) detected.platform = null;
+
+    if (headers.some(h => h.a.length === 4)) {
+        detected.dateOrder = 'YMD';
+    } else if (headers.some(h => parseInt(h.a, 10) > 12)) {
+        detected.dateOrder = 'DMY';
+    } else if (headers.some(h => parseInt(h.b, 10) > 12)) {
+        detected.dateOrder = 'MDY';
+    } else if (headers.length > 0) {
+        // Aucun jour > 12 dans l'échantillon : l'ordre qui donne une chronologie croissante l'emporte,
+        // sinon AM/PM désigne un export américain (MM/JJ)
+        const dmy = chronologyScore(headers, 'DMY');
+        const mdy = chronologyScore(headers, 'MDY');
+        if (dmy !== mdy) detected.dateOrder = dmy > mdy ? 'DMY' : 'MDY';
+        else if (detected.clock === '12h') detected.dateOrder = 'MDY';
+    }
+
+    return {
+        platform: format.platform || detected.platform,
+        dateOrder: format.dateOrder || detected.dateOrder,
+        clock: format.clock || detected.clock,
+        timezone: format.timezone || IMPORT_TIMEZONE,
+        detected: !format.dateOrder && !format.clock && !format.platform,
+        sampled: headers.length
+    };
+}
+
+/**
+ * Vérifie les surcharges passées par la requête d'import
+ * @throws {Error} si une valeur est inconnue
+ */
+function validateOverrides({ dateOrder, clock, platform, timezone } = {}) {
+    const out = {};
+    if (dateOrder) {
+        out.dateOrder = String(dateOrder).toUpperCase();
+        if (!DATE_ORDERS.includes(out.dateOrder)) throw new Error(`dateOrder doit être l'un de: ${DATE_ORDERS.join(', ')}`);
+    }
+    if (clock) {
+        out.clock = String(clock).toLowerCase();
+        if (!CLOCKS.includes(out.clock)) throw new Error(`clock doit être l'un de: ${CLOCKS.join(', ')}`);
+    }
+    if (platform) {
+        out.platform = String(platform).toLowerCase();
+        if (!PLATFORMS.includes(out.platform)) throw new Error(`platform doit être l'un de: ${PLATFORMS.join(', ')}`);
+    }
+    if (timezone) {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        } catch (_) {
+            throw new Error(`Fuseau horaire inconnu: ${timezone}`);
+        }
+        out.timezone = timezone;
+    }
+    return out;
+}
+
+// =============================================================================
+// FUSEAU HORAIRE
+// =============================================================================
+
+const tzFormatters = new Map();
+
+function tzOffsetMs(utcMs, timezone) {
+    if (!tzFormatters.has(timezone)) {
+        tzFormatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone, hourCycle: 'h23',
+            year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit'
+        }));
+    }
+    const parts = {};
+    for (const p of tzFormatters.get(timezone).formatToParts(new Date(utcMs))) parts[p.type] = p.value;
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUtc - Math.floor(utcMs / 1000) * 1000;
+}
+
+/**
+ * Heure murale dans un fuseau → timestamp Unix (secondes)
+ */
+function zonedTimeToUnix({ year, month, day, hour, minute, second }, timezone) {
+    const wall = Date.UTC(year, month - 1, day, hour, minute, second);
+    let utc = wall - tzOffsetMs(wall, timezone);
+    // Changement d'heure entre l'estimation et le résultat : recalcul avec le bon décalage
+    const offset = tzOffsetMs(utc, timezone);
+    if (wall - offset !== utc) utc = wall - offset;
+    return Math.floor(utc / 1000);
+}
+
+// =============================================================================
+// PARSING
+// =============================================================================
+
+/**
+ * Parse une ligne d'en-tête de message
+ * @param {string} line
+ * @param {Object} format résultat de detectFormat()
+ * @returns {Object|null} { timestamp, sender, message } (null : continuation ou message système)
+ */
+function parseWhatsAppLine(line, format) {
+    const h = splitHeader(line);
+    if (!h) return null;
+
+    const { day, month, year } = dateParts(h, format.dateOrder);
+    if (month < 1 || month > 12 || day < 1 || day > 31) return null;
+
+    let hour = h.hour;
+    if (h.meridiem || format.clock === '12h') {
+        if (hour < 1 || hour > 12) return null;
+        if (h.meridiem === 'P' && hour !== 12) hour += 12;
+        if (h.meridiem === 'A' && hour === 12) hour = 0;
+    }
+    if (hour > 23 || h.minute > 59 || h.second > 59) return null;
+
+    // "Nom: message" ; sans ":" c'est un message système (chiffrement, ajout d'un membre...)
+    const sep = h.rest.indexOf(': ');
+    const bareColon = h.rest.endsWith(':') ? h.rest.length - 1 : -1;
+    const cut = sep > 0 ? sep : bareColon;
+    if (cut <= 0) return null;
+
+    const timestamp = zonedTimeToUnix({ year, month, day, hour, minute: h.minute, second: h.second }, format.timezone);
+    return {
+        timestamp,
+        sender: h.rest.substring(0, cut).trim(),
+        message: h.rest.substring(cut + 1).trim()
+    };
+}
+
+/**
+ * Nom du groupe d'après le nom du fichier exporté (.txt ou .zip)
+ * @returns {string|null} null pour "_chat.txt" ou un nom non reconnu
+ */
+function groupNameFromFileName(fileName) {
+    const base = (fileName || '').split(/[\\/]/).pop()
+        .replace(INVISIBLE_CHARS, '')
+        .replace(/\.(zip|txt)$/i, '')
+        .replace(/\s*\(\d+\)$/, '')   // "... (1).zip" : téléchargé deux fois
+        .trim();
+    for (const regex of EXPORT_NAME_PATTERNS) {
+        const m = base.match(regex);
+        if (m && m[1].trim()) return m[1].trim();
+    }
+    return null;
+}
+
+/**
+ * Regroupe les lignes en messages : une ligne sans en-tête prolonge le message précédent
+ * (questions sur plusieurs paragraphes). Un message système termine le message en cours.
+ * @returns {Object[]} { timestamp, sender, message, firstLine, lineNo }
+ */
+function parseExportMessages(lines, format) {
+    const messages = [];
+    let current = null;
+
+    lines.forEach((raw, i) => {
+        const line = raw.replace(/\r$/, '');
+        const parsed = parseWhatsAppLine(line, format);
+        if (parsed) {
+            current = { ...parsed, firstLine: parsed.message, lineNo: i + 1 };
+            messages.push(current);
+        } else if (splitHeader(line)) {
+            current = null;
+        } else if (current) {
+            current.message += '\n' + line.replace(INVISIBLE_CHARS, '').trimEnd();
+        }
+    });
+
+    for (const m of messages) m.message = m.message.replace(/\s+$/, '');
+    return messages;
+}
+
+/**
+ * Parseur prêt à l'emploi pour un export
+ * @returns {Object} { format, parseLine(line), parseMessages() }
+ */
+function createExportParser(lines, overrides = {}) {
+    const format = detectFormat(lines, overrides);
+    return {
+        format,
+        parseLine: (line) => parseWhatsAppLine(line, format),
+        parseMessages: () => parseExportMessages(lines, format)
+    };
+}
+
+module.exports = {
+    detectFormat,
+    validateOverrides,
+    parseWhatsAppLine,
+    parseExportMessages,
+    createExportParser,
+    groupNameFromFileName,
+    zonedTimeToUnix,
+    IMPORT_TIMEZONE
+};
@@ -0,0 +1,105 @@
+/**
+ * Lecture en flux des archives ZIP d'export WhatsApp (yauzl)
+ * - Seul le répertoire central est chargé en mémoire, pas les fichiers
+ * - Les entrées sont lues / copiées à la demande (texte de la discussion, médias liés)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+const yauzl = require('yauzl');
+
+function openZip(zipPath) {
+    return new Promise((resolve, reject) => {
+        yauzl.open(zipPath, { lazyEntries: true, autoClose: false, decodeStrings: true }, (err, zipfile) => {
+            if (err) reject(err); else resolve(zipfile);
+        });
+    });
+}
+
+function readAllEntries(zipfile) {
+    return new Promise((resolve, reject) => {
+        const entries = [];
+        zipfile.on('entry', (entry) => {
+            entries.push(entry);
+            zipfile.readEntry();
+        });
+        zipfile.on('end', () => resolve(entries));
+        zipfile.on('error', reject);
+        zipfile.readEntry();
+    });
+}
+
+function openEntryStream(zipfile, entry) {
+    return new Promise((resolve, reject) => {
+        zipfile.openReadStream(entry, (err, stream) => {
+            if (err) reject(err); else resolve(stream);
+        });
+    });
+}
+
+function isIgnored(fileName) {
+    return fileName.endsWith('/') || fileName.startsWith('__MACOSX/') || path.basename(fileName).startsWith('.');
+}
+
+/**
+ * Ouvre une archive et indexe ses fichiers
+ * @returns {Object} { entries, findByName(name), findChat(), readText(entry), extractTo(entry, dest), close() }
+ */
+async function openZipArchive(zipPath) {
+    const zipfile = await openZip(zipPath);
+    let entries;
+    try {
+        entries = (await readAllEntries(zipfile)).filter(e => !isIgnored(e.fileName));
+    } catch (e) {
+        zipfile.close();
+        throw e;
+    }
+
+    const byName = new Map();   // nom de fichier en minuscules → entrée (les exports n'ont pas de sous-dossiers utiles)
+    for (const entry of entries) {
+        const key = path.basename(entry.fileName).toLowerCase();
+        if (!byName.has(key)) byName.set(key, entry);
+    }
+
+    return {
+        entries,
+
+        findByName(name) {
+            return byName.get(path.basename(name).toLowerCase()) || null;
+        },
+
+        // _chat.txt (iOS) ou "Discussion WhatsApp avec ....txt" (Android)
+        findChat() {
+            const texts = entries.filter(e => e.fileName.toLowerCase().endsWith('.txt'));
+            return texts.find(e => path.basename(e.fileName) === '_chat.txt') || texts[0] || null;
+        },
+
+        async readText(entry) {
+            const chunks = [];
+            for await (const chunk of await openEntryStream(zipfile, entry)) chunks.push(chunk);
+            return Buffer.concat(chunks).toString('utf-8');
+        },
+
+        /**
+         * Copie une entrée vers dest (fichier .part renommé à la fin : jamais de fichier tronqué)
+         */
+        async extractTo(entry, dest) {
+            const partial = `${dest}.part`;
+            try {
+                await pipeline(await openEntryStream(zipfile, entry), fs.createWriteStream(partial));
+                fs.renameSync(partial, dest);
+            } catch (e) {
+                fs.rmSync(partial, { force: true });
+                throw e;
+            }
+            return dest;
+        },
+
+        close() {
+            zipfile.close();
+        }
+    };
+}
+
+module.exports = { openZipArchive };